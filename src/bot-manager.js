@@ -0,0 +1,357 @@
+const debug = require('debug')('opengram:manager')
+const { URL } = require('url')
+const Opengram = require('./opengram')
+const Telegram = require('./telegram')
+const webhookAdapters = require('./core/network/adapters')
+const { timingSafeEqual } = require('./core/network/webhook')
+const { ensureWebhook } = require('./core/network/webhook-sync')
+
+/**
+ * @typedef {object} managedBotConfig
+ * @property {string} token Bot token
+ * @property {OpengramOptions} [options] Options of this bot, merged with {@link BotManagerOptions#botOptions}
+ */
+
+/**
+ * @typedef {object} BotManagerOptions
+ * @property {OpengramOptions} [botOptions] Options shared by all bots
+ * @property {'path'|'secret'} [routeBy='path'] How webhook requests routed to bots:
+ *    - `path` - each bot has own path `<path>/<bot id>`
+ *    - `secret` - all bots use the same path, bot determined by secret token header
+ * @property {string} [path='/opengram'] Webhook path
+ * @property {object} [agent] HTTP agent for API calls, by default the keep-alive agent of `Telegram` shared by
+ *    all bots
+ */
+
+/**
+ * @typedef {object} managerLaunchConfig
+ * @property {webhookConfig} [webhook] Webhook configuration. If specified, one server started for all bots,
+ *    `path`, `secret` and `useSecretPath` options ignored. Otherwise, bots started with long polling
+ * @property {pollingConfig} [polling] Polling configuration
+ * @property {boolean} [dropPendingUpdates=false] Drop all pending updates on start
+ * @property {string[]} [allowedUpdates] Array of allowed updates for webhook
+ */
+
+/**
+ * Runs many bots with the same middleware in one process and routes requests of one webhook server to them
+ *
+ * ```js
+ * const composer = new Composer()
+ * composer.on('text', ctx => ctx.reply(`Hello from @${ctx.me}`))
+ *
+ * const manager = new BotManager(composer, [process.env.FIRST_TOKEN, process.env.SECOND_TOKEN])
+ * await manager.launch({ webhook: { domain: 'example.com', port: 8443 } })
+ *
+ * // Bots can be added and removed at runtime
+ * await manager.add({ token: process.env.THIRD_TOKEN, options: { handlerTimeout: 10000 } })
+ * await manager.remove(process.env.FIRST_TOKEN)
+ * ```
+ */
+class BotManager {
+  /**
+   * @param {MiddlewareFn} middleware Middleware shared by all bots
+   * @param {Array<string|managedBotConfig>} [bots] Tokens or configs of bots
+   * @param {BotManagerOptions} [options] Options
+   */
+  constructor (middleware, bots = [], options = {}) {
+    this.middleware = middleware
+    this.options = {
+      routeBy: 'path',
+      path: '/opengram',
+      ...options
+    }
+    this.agent = options.agent || Telegram.DEFAULT_OPTIONS.agent
+    this.entries = new Map()
+    this.launchConfig = undefined
+    this.webhookServer = undefined
+    bots.forEach(bot => this.register(bot))
+  }
+
+  /**
+   * Managed bots
+   *
+   * @return {Opengram[]}
+   */
+  get bots () {
+    return [...this.entries.values()].map(entry => entry.bot)
+  }
+
+  /**
+   * Returns bot by identifier or token
+   *
+   * @param {number|string} id Bot identifier or token
+   * @return {Opengram|undefined}
+   */
+  get (id) {
+    const entry = this.entries.get(getBotId(id))
+    return entry && entry.bot
+  }
+
+  /**
+   * Returns bot info received by `getMe` on start, `undefined` if bot not started
+   *
+   * @param {number|string} id Bot identifier or token
+   * @return {User|undefined}
+   */
+  botInfo (id) {
+    const bot = this.get(id)
+    return bot && bot.context.botInfo
+  }
+
+  /**
+   * Adds bot. If manager already launched, bot is started
+   *
+   * @param {string|managedBotConfig} config Token or config of bot
+   * @throws {Error}
+   * @return {Promise<Opengram>}
+   */
+  async add (config) {
+    const entry = this.register(config)
+    if (this.launchConfig) {
+      try {
+        await this.startBot(entry)
+      } catch (err) {
+        this.entries.delete(entry.id)
+        throw err
+      }
+    }
+    return entry.bot
+  }
+
+  /**
+   * Removes bot. If manager launched, webhook of bot is deleted and bot stopped
+   * after processing of current updates
+   *
+   * @param {number|string} id Bot identifier or token
+   * @return {Promise<boolean>} `false` if bot not found
+   */
+  async remove (id) {
+    const entry = this.entries.get(getBotId(id))
+    if (!entry) {
+      return false
+    }
+
+    this.entries.delete(entry.id)
+    if (this.launchConfig) {
+      if (this.launchConfig.webhook) {
+        await entry.bot.telegram.deleteWebhook()
+      }
+      await entry.bot.stop()
+    }
+    debug('Bot %s removed', entry.id)
+    return true
+  }
+
+  /**
+   * Returns webhook handler for all bots, see {@link Opengram#webhookCallback}
+   *
+   * @param {'http'|'express'|'koa'|'fastify'|'fetch'} [adapter='http'] Type of returned handler
+   * @throws {Error}
+   * @return {Function}
+   */
+  webhookCallback (adapter = 'http') {
+    const createHandler = webhookAdapters[adapter]
+    if (!createHandler) {
+      throw new Error(`Unknown webhook adapter: ${adapter}`)
+    }
+
+    return createHandler((req, res, next) => {
+      const entry = this.route(req)
+      if (entry) {
+        entry.handler = entry.handler || this.createWebhookHandler(entry)
+        return entry.handler(req, res, next)
+      }
+      if (typeof next === 'function') {
+        return next()
+      }
+      res.statusCode = 404
+      res.end()
+    })
+  }
+
+  /**
+   * Starts all bots. With webhook, starts one server for all bots and sets webhooks.
+   * If any bot fails to start, stops all bots and closes the server
+   *
+   * @param {managerLaunchConfig} [config] Launch configuration
+   * @throws {Error}
+   * @return {Promise<BotManager>}
+   */
+  async launch (config = {}) {
+    this.launchConfig = config
+    // Handlers created on first request with options of launch config
+    this.entries.forEach(entry => { entry.handler = undefined })
+    try {
+      if (config.webhook) {
+        const { port, host, tlsOptions, cb } = config.webhook
+        const handler = this.webhookCallback()
+        const callback = typeof cb === 'function'
+          ? (req, res) => handler(req, res, () => cb(req, res))
+          : handler
+        this.webhookServer = tlsOptions != null
+          ? require('https').createServer(tlsOptions, callback)
+          : require('http').createServer(callback)
+        await new Promise((resolve, reject) => {
+          this.webhookServer.once('error', reject)
+          this.webhookServer.listen(port, host, () => {
+            this.webhookServer.off('error', reject)
+            debug('Webhook listening on port: %s', port)
+            resolve()
+          })
+        })
+      }
+
+      await Promise.all([...this.entries.values()].map(entry => this.startBot(entry)))
+    } catch (err) {
+      await this.stop().catch(stopErr => debug('Failed to stop bots after launch error', stopErr))
+      this.webhookServer = undefined
+      this.launchConfig = undefined
+      throw err
+    }
+    return this
+  }
+
+  /**
+   * Stops all bots and closes webhook server
+   *
+   * @param {stopOptions} [options] Stop options, see {@link Opengram#stop}
+   * @return {Promise<void>}
+   */
+  async stop (options) {
+    if (this.webhookServer) {
+      await new Promise((resolve, reject) => {
+        this.webhookServer.close(err => err ? reject(err) : resolve())
+      })
+      this.webhookServer = undefined
+    }
+    await Promise.all(this.bots.map(bot => bot.stop(options)))
+    this.launchConfig = undefined
+  }
+
+  /**
+   * Creates bot and webhook route for it
+   *
+   * @private
+   * @param {string|managedBotConfig} config Token or config of bot
+   * @throws {Error}
+   * @return {object}
+   */
+  register (config) {
+    const { token, options = {} } = typeof config === 'string' ? { token: config } : config
+    const id = getBotId(token)
+    if (this.entries.has(id)) {
+      throw new Error(`Bot ${id} already added`)
+    }
+
+    const botOptions = this.options.botOptions || {}
+    const bot = new Opengram(token, {
+      ...botOptions,
+      ...options,
+      telegram: {
+        agent: this.agent,
+        ...botOptions.telegram,
+        ...options.telegram
+      }
+    })
+    bot.use(this.middleware)
+
+    const entry = {
+      id,
+      bot,
+      path: this.options.routeBy === 'secret' ? this.options.path : `${this.options.path}/${id}`,
+      secret: bot.secretPathComponent(),
+      handler: undefined
+    }
+    this.entries.set(id, entry)
+    debug('Bot %s added', id)
+    return entry
+  }
+
+  /**
+   * Creates webhook handler of bot
+   *
+   * @private
+   * @param {object} entry Bot entry
+   * @return {Function}
+   */
+  createWebhookHandler (entry) {
+    const webhook = (this.launchConfig && this.launchConfig.webhook) || {}
+    return entry.bot.webhookCallback({
+      path: entry.path,
+      secret: entry.secret,
+      ipAllowlist: webhook.ipAllowlist,
+      trustProxy: webhook.trustProxy,
+      maxBodySize: webhook.maxBodySize,
+      background: webhook.background
+    })
+  }
+
+  /**
+   * Finds bot for webhook request
+   *
+   * @private
+   * @param {http.IncomingMessage} req Request
+   * @return {object|undefined}
+   */
+  route (req) {
+    const entries = [...this.entries.values()]
+    if (this.options.routeBy !== 'secret') {
+      return entries.find(entry => entry.path === req.url)
+    }
+
+    const secret = req.headers['x-telegram-bot-api-secret-token']
+    return req.url === this.options.path
+      ? entries.find(entry => timingSafeEqual(entry.secret, secret))
+      : undefined
+  }
+
+  /**
+   * Receives bot info and starts receiving updates
+   *
+   * @private
+   * @param {object} entry Bot entry
+   * @return {Promise<void>}
+   */
+  async startBot (entry) {
+    const config = this.launchConfig
+    const { bot } = entry
+    if (!config.webhook) {
+      await bot.launch(config)
+      return
+    }
+
+    const botInfo = await bot.telegram.getMe()
+    bot.options.username = botInfo.username
+    bot.context.botInfo = botInfo
+
+    let domain = config.webhook.domain
+    if (!domain) {
+      return
+    }
+    if (domain.startsWith('https://') || domain.startsWith('http://')) {
+      domain = new URL(domain).host
+    }
+
+    await ensureWebhook(bot.telegram, `https://${domain}${entry.path}`, {
+      drop_pending_updates: config.dropPendingUpdates,
+      allowed_updates: config.allowedUpdates,
+      ip_address: config.webhook.ipAddress,
+      max_connections: config.webhook.maxConnections,
+      secret_token: entry.secret
+    })
+    debug('Bot @%s started with webhook', botInfo.username)
+  }
+}
+
+/**
+ * Returns bot identifier from token, identifier is returned as is
+ *
+ * @private
+ * @param {number|string} token Bot token or identifier
+ * @return {string}
+ */
+function getBotId (token) {
+  return String(token).split(':')[0]
+}
+
+module.exports = BotManager
@@ -1,4 +1,4 @@
-const { getMessageFromAnySource, getText, getEntities, getThreadId } = require('./core/helpers/utils')
+const { getMessageFromAnySource, getMessageFile, getText, getEntities, getThreadId } = require('./core/helpers/utils')
 
 const UpdateTypes = [
   'callback_query',
@@ -827,6 +827,27 @@ class OpengramContext {
     })
   }
 
+  /**
+   * Downloads file from message of current update: the largest photo size or document, video, animation, audio,
+   * voice, video note, sticker. See {@link Telegram#downloadFile} for more information
+   *
+   * ```js
+   * bot.on('photo', async ctx => {
+   *   const buffer = await ctx.downloadFile({ maxSize: 5 * 1024 * 1024 })
+   * })
+   * ```
+   *
+   * @param {downloadFileOptions} [options] Download options
+   * @throws {TelegramError}
+   * @throws {TypeError}
+   * @return {Promise<Buffer|stream.Readable|stream.Writable|string>}
+   */
+  downloadFile (options) {
+    const file = getMessageFile(getMessageFromAnySource(this))
+    this.assert(file, 'downloadFile')
+    return this.telegram.downloadFile(file, options)
+  }
+
   /**
    * Use this method to get up-to-date information about current chat (current name of the user for one-on-one
    * conversations, current username of a user, group or channel, etc.).
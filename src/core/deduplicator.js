@@ -0,0 +1,77 @@
+const debug = require('debug')('opengram:dedupe')
+const MemoryStore = require('./stores/memory')
+
+const DEFAULT_TTL = 24 * 60 * 60
+const DEFAULT_MAX_SIZE = 10000
+
+/**
+ * @typedef {object} DedupeOptions
+ * @property {object} [store] Store of processed update identifiers with `get`, `set(key, value, ttl)` and `delete`
+ *    methods, may be asynchronous. By default, {@link MemoryStore} limited to 10000 entries
+ * @property {number} [ttl=86400] Time in seconds during which update considered as duplicate
+ * @property {Function} [onDuplicate] Called with update object when duplicate dropped, for example for metrics
+ */
+
+/**
+ * Drops updates which are already processed or processing now
+ *
+ * @private
+ */
+class UpdateDeduplicator {
+  /**
+   * @param {DedupeOptions} [options] Options
+   */
+  constructor (options = {}) {
+    this.ttl = (options.ttl ?? DEFAULT_TTL) * 1000
+    this.store = options.store || new MemoryStore({ maxSize: DEFAULT_MAX_SIZE })
+    this.onDuplicate = options.onDuplicate
+    // Keys of updates processing in this process, checked synchronously to avoid races with async stores
+    this.processing = new Set()
+  }
+
+  /**
+   * Calls given function if update with given key not processed before.
+   * If processing failed, key is removed from store, so update can be processed again
+   *
+   * @param {string} key Unique key of update
+   * @param {object} update Update object
+   * @param {Function} fn Function processing update
+   * @throws {Error}
+   * @return {Promise<*>} Result of function or `undefined` if update is duplicate
+   */
+  async run (key, update, fn) {
+    if (this.processing.has(key)) {
+      return this.drop(key, update)
+    }
+
+    this.processing.add(key)
+    try {
+      if (await Promise.resolve(this.store.get(key)) !== undefined) {
+        return this.drop(key, update)
+      }
+      await Promise.resolve(this.store.set(key, true, this.ttl))
+
+      try {
+        return await fn()
+      } catch (err) {
+        await Promise.resolve(this.store.delete(key))
+        throw err
+      }
+    } finally {
+      this.processing.delete(key)
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} key Key of update
+   * @param {object} update Update object
+   * @return {Promise<void>}
+   */
+  async drop (key, update) {
+    debug('Duplicate update dropped', key)
+    this.onDuplicate && await this.onDuplicate(update)
+  }
+}
+
+module.exports = UpdateDeduplicator
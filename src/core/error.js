@@ -6,6 +6,17 @@
  *
  * You can check is error belongs to {@link TelegramError} by using {@link isTelegramError}
  *
+ * API calls throw subclasses for common errors, so you can check them without matching description:
+ * ```js
+ * try {
+ *   await ctx.editMessageText('Same text')
+ * } catch (err) {
+ *   if (err instanceof MessageNotModifiedError) return
+ *   if (err instanceof FloodWaitError) console.log(`Retry after ${err.retryAfter}s`)
+ *   throw err
+ * }
+ * ```
+ *
  * @extends Error
  */
 class TelegramError extends Error {
@@ -19,6 +30,107 @@ class TelegramError extends Error {
   }
 }
 
+/**
+ * Thrown when Telegram responds with `400 Bad Request`
+ *
+ * @extends TelegramError
+ */
+class BadRequestError extends TelegramError {}
+
+/**
+ * Thrown when Telegram responds with `401 Unauthorized`, for example when bot token is invalid
+ *
+ * @extends TelegramError
+ */
+class UnauthorizedError extends TelegramError {}
+
+/**
+ * Thrown when Telegram responds with `403 Forbidden`, for example when bot was kicked from the chat
+ *
+ * @extends TelegramError
+ */
+class ForbiddenError extends TelegramError {}
+
+/**
+ * Thrown when user blocked the bot
+ *
+ * @extends ForbiddenError
+ */
+class BotBlockedError extends ForbiddenError {}
+
+/**
+ * Thrown when target chat not exists or bot not a member of the chat
+ *
+ * @extends BadRequestError
+ */
+class ChatNotFoundError extends BadRequestError {}
+
+/**
+ * Thrown when message edited with the same content and markup
+ *
+ * @extends BadRequestError
+ */
+class MessageNotModifiedError extends BadRequestError {}
+
+/**
+ * Thrown when group has been migrated to a supergroup. New chat identifier available in `migrateToChatId` property
+ *
+ * @extends BadRequestError
+ */
+class MigrateToChatError extends BadRequestError {
+  constructor (payload = {}, on) {
+    super(payload, on)
+    /** @type {number} **/
+    this.migrateToChatId = this.parameters.migrate_to_chat_id
+  }
+}
+
+/**
+ * Thrown when Telegram responds with `429 Too Many Requests`. Time to wait in seconds available in
+ * `retryAfter` property
+ *
+ * @extends TelegramError
+ */
+class FloodWaitError extends TelegramError {
+  constructor (payload = {}, on) {
+    super(payload, on)
+    /** @type {number|undefined} **/
+    this.retryAfter = this.parameters.retry_after
+  }
+}
+
+const ERRORS_BY_CODE = {
+  400: BadRequestError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  429: FloodWaitError
+}
+
+const ERRORS_BY_DESCRIPTION = [
+  [BotBlockedError, /bot was blocked by the user/i],
+  [ChatNotFoundError, /chat not found/i],
+  [MessageNotModifiedError, /message is not modified/i]
+]
+
+/**
+ * Creates instance of the most specific {@link TelegramError} subclass for given error payload
+ *
+ * @private
+ * @param {object} payload Error payload returned by Telegram
+ * @param {object} [on] Information about failed API call - method name and payload
+ * @return {TelegramError}
+ */
+function createTelegramError (payload = {}, on) {
+  if (payload.parameters && payload.parameters.migrate_to_chat_id !== undefined) {
+    return new MigrateToChatError(payload, on)
+  }
+
+  const description = payload.description || ''
+  const match = ERRORS_BY_DESCRIPTION.find(([, regexp]) => regexp.test(description))
+  const ErrorClass = match ? match[0] : ERRORS_BY_CODE[payload.error_code] || TelegramError
+  return new ErrorClass(payload, on)
+}
+
 /**
  * Checks if the error is a {@link TelegramError}
  *
@@ -29,4 +141,16 @@ function isTelegramError (err) {
   return err instanceof TelegramError
 }
 
-module.exports = { TelegramError, isTelegramError }
+module.exports = {
+  TelegramError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  BotBlockedError,
+  ChatNotFoundError,
+  MessageNotModifiedError,
+  MigrateToChatError,
+  FloodWaitError,
+  createTelegramError,
+  isTelegramError
+}
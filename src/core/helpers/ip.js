@@ -0,0 +1,132 @@
+const net = require('net')
+
+/**
+ * Telegram subnets used for sending webhook requests
+ *
+ * @see https://core.telegram.org/bots/webhooks#the-short-version
+ */
+const TELEGRAM_SUBNETS = ['149.154.160.0/20', '91.108.4.0/22']
+
+/**
+ * Converts IPv4 address to number
+ *
+ * @private
+ * @param {string} address IPv4 address
+ * @return {bigint}
+ */
+function parseIPv4 (address) {
+  return address.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n)
+}
+
+/**
+ * Converts IPv6 address to number
+ *
+ * @private
+ * @param {string} address IPv6 address
+ * @return {bigint}
+ */
+function parseIPv6 (address) {
+  // Replace embedded IPv4 address with two groups
+  const ipv4 = address.match(/(\d+\.\d+\.\d+\.\d+)$/)
+  if (ipv4) {
+    const value = parseIPv4(ipv4[1])
+    address = `${address.slice(0, -ipv4[1].length)}${(value >> 16n).toString(16)}:${(value & 0xffffn).toString(16)}`
+  }
+
+  const [head, tail] = address.split('::')
+  const headGroups = head ? head.split(':') : []
+  const tailGroups = tail ? tail.split(':') : []
+  const zeroGroups = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0')
+
+  return [...headGroups, ...zeroGroups, ...tailGroups]
+    .reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n)
+}
+
+/**
+ * Parses IP address. IPv4-mapped IPv6 addresses like `::ffff:127.0.0.1` are parsed as IPv4
+ *
+ * @private
+ * @param {string} address IP address
+ * @return {{version: number, value: bigint}|null}
+ */
+function parseIp (address) {
+  if (typeof address !== 'string') {
+    return null
+  }
+
+  address = address.split('%')[0] // Remove IPv6 zone index
+  if (address.toLowerCase().startsWith('::ffff:') && net.isIPv4(address.slice(7))) {
+    address = address.slice(7)
+  }
+
+  const version = net.isIP(address)
+  if (version === 4) {
+    return { version, value: parseIPv4(address) }
+  }
+  if (version === 6) {
+    return { version, value: parseIPv6(address) }
+  }
+  return null
+}
+
+/**
+ * Creates function which checks if IP address belongs to one of given subnets
+ *
+ * @private
+ * @param {string[]} list List of subnets in CIDR notation or single addresses.
+ *    For example `['149.154.160.0/20', '10.0.0.1', '2001:db8::/32']`
+ * @throws {TypeError}
+ * @return {Function}
+ */
+function createIpMatcher (list) {
+  const subnets = list.map((entry) => {
+    const [address, prefix] = entry.split('/')
+    const ip = parseIp(address)
+    if (!ip) {
+      throw new TypeError(`Invalid IP address or subnet: ${entry}`)
+    }
+
+    const bits = ip.version === 4 ? 32 : 128
+    const prefixLength = prefix === undefined ? bits : Number(prefix)
+    if (!Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > bits) {
+      throw new TypeError(`Invalid subnet prefix: ${entry}`)
+    }
+
+    const mask = ((1n << BigInt(prefixLength)) - 1n) << BigInt(bits - prefixLength)
+    return { version: ip.version, mask, network: ip.value & mask }
+  })
+
+  return (address) => {
+    const ip = parseIp(address)
+    return ip !== null && subnets.some(
+      (subnet) => subnet.version === ip.version && (ip.value & subnet.mask) === subnet.network
+    )
+  }
+}
+
+/**
+ * Returns client IP address of request.
+ *
+ * If `trustProxy` is a number, address added to `X-Forwarded-For` header by the proxy at given count of hops
+ * before the server is used. `true` means one trusted proxy, so the right-most address is used: addresses
+ * on the left are sent by client and can be spoofed.
+ *
+ * @private
+ * @param {http.IncomingMessage} req Request object
+ * @param {boolean|number} [trustProxy] Trust `X-Forwarded-For` header
+ * @return {string|undefined}
+ */
+function getClientIp (req, trustProxy) {
+  const remoteAddress = req.socket && req.socket.remoteAddress
+  const header = req.headers['x-forwarded-for']
+  if (!trustProxy || !header) {
+    return remoteAddress
+  }
+
+  const chain = String(header).split(',').map(address => address.trim()).filter(Boolean)
+  const hops = trustProxy === true ? 1 : Number(trustProxy)
+  chain.push(remoteAddress)
+  return chain[Math.max(chain.length - 1 - hops, 0)]
+}
+
+module.exports = { TELEGRAM_SUBNETS, createIpMatcher, getClientIp }
@@ -85,6 +85,27 @@ function getThreadId (ctx) {
   return msg?.is_topic_message ? msg.message_thread_id : undefined
 }
 
+/**
+ * Returns downloadable file object from {@link Message}: the largest photo size or document / video / animation /
+ * audio / voice / video note / sticker.
+ *
+ * @param {Message} message Message object for extracting file
+ * @return {PhotoSize|Document|Video|Animation|Audio|Voice|VideoNote|Sticker|undefined}
+ */
+function getMessageFile (message) {
+  if (message == null) return undefined
+  if (Array.isArray(message.photo) && message.photo.length) {
+    return message.photo.reduce((largest, size) => (size.file_size || 0) >= (largest.file_size || 0) ? size : largest)
+  }
+  return message.document ||
+    message.video ||
+    message.animation ||
+    message.audio ||
+    message.voice ||
+    message.video_note ||
+    message.sticker
+}
+
 /**
  * Prints warning messages
  *
@@ -95,4 +116,4 @@ function showWarning (text) {
   process.emitWarning(text)
 }
 
-module.exports = { getEntities, getText, getMessageFromAnySource, getThreadId, showWarning }
+module.exports = { getEntities, getText, getMessageFromAnySource, getMessageFile, getThreadId, showWarning }
@@ -0,0 +1,91 @@
+const pTimeout = require('p-timeout')
+
+/**
+ * In-process mutex with separate lock for every key. Waiting callers get the lock in order they called
+ * {@link KeyedMutex#acquire}
+ *
+ * ```js
+ * const mutex = new KeyedMutex()
+ * const release = await mutex.acquire('key', 5000)
+ * try {
+ *   // Only one caller for the key at the same time
+ * } finally {
+ *   release()
+ * }
+ * ```
+ *
+ * Can be replaced with any object implementing `acquire` method, for example lock based on Redis for
+ * sharing sessions between processes
+ */
+class KeyedMutex {
+  constructor () {
+    this.locks = new Map()
+  }
+
+  /**
+   * Count of keys locked now
+   *
+   * @return {number}
+   */
+  get size () {
+    return this.locks.size
+  }
+
+  /**
+   * Returns count of callers holding or waiting for the lock of given key
+   *
+   * @param {string} key Key
+   * @return {number}
+   */
+  pending (key) {
+    const entry = this.locks.get(key)
+    return entry ? entry.count : 0
+  }
+
+  /**
+   * Waits until lock of the key is released by previous callers and acquires it
+   *
+   * @param {string} key Key
+   * @param {number} [timeout=Infinity] Maximum waiting time in milliseconds
+   * @throws {TimeoutError}
+   * @return {Promise<Function>} Function releasing the lock
+   */
+  async acquire (key, timeout = Infinity) {
+    let entry = this.locks.get(key)
+    if (!entry) {
+      entry = { tail: Promise.resolve(), count: 0 }
+      this.locks.set(key, entry)
+    }
+
+    entry.count++
+    let unlock
+    const unlocked = new Promise(resolve => { unlock = resolve })
+    const previous = entry.tail
+    entry.tail = previous.then(() => unlocked)
+
+    const leave = () => {
+      if (--entry.count === 0 && this.locks.get(key) === entry) {
+        this.locks.delete(key)
+      }
+    }
+
+    try {
+      await pTimeout(previous, timeout, `Timed out waiting for lock of key "${key}"`)
+    } catch (err) {
+      leave()
+      // Skip the turn, next callers still wait for previous holder
+      previous.then(unlock)
+      throw err
+    }
+
+    let released = false
+    return () => {
+      if (released) return
+      released = true
+      leave()
+      unlock()
+    }
+  }
+}
+
+module.exports = KeyedMutex
@@ -0,0 +1,428 @@
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+/**
+ * Escapes label value for text exposition format
+ *
+ * @private
+ * @param {*} value Label value
+ * @return {string}
+ */
+function escapeLabelValue (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+/**
+ * Formats labels as `{name="value",...}`, returns empty string when there are no labels
+ *
+ * @private
+ * @param {object} labels Labels object
+ * @return {string}
+ */
+function formatLabels (labels) {
+  const pairs = Object.keys(labels).map(name => `${name}="${escapeLabelValue(labels[name])}"`)
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Formats sample value, infinite values written as `+Inf` and `-Inf`
+ *
+ * @private
+ * @param {number} value Sample value
+ * @return {string}
+ */
+function formatValue (value) {
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  return String(value)
+}
+
+/**
+ * Base class of metrics, keeps values for every combination of label values
+ *
+ * @private
+ */
+class Metric {
+  /**
+   * @param {string} type Metric type
+   * @param {string} name Metric name
+   * @param {string} help Metric description
+   * @param {string[]} [labelNames] Names of labels
+   */
+  constructor (type, name, help, labelNames = []) {
+    this.type = type
+    this.name = name
+    this.help = help
+    this.labelNames = labelNames
+    this.values = new Map()
+  }
+
+  /**
+   * Returns entry for given labels, creates it with `create` function if it doesn't exist
+   *
+   * @private
+   * @param {object} labels Labels object
+   * @param {Function} create Function returning initial entry
+   * @return {object}
+   */
+  entry (labels, create) {
+    const picked = {}
+    for (const name of this.labelNames) {
+      if (labels[name] !== undefined) {
+        picked[name] = labels[name]
+      }
+    }
+
+    const key = JSON.stringify(this.labelNames.map(name => picked[name]))
+    let entry = this.values.get(key)
+    if (!entry) {
+      entry = { labels: picked, ...create() }
+      this.values.set(key, entry)
+    }
+    return entry
+  }
+
+  /**
+   * Removes all collected values
+   *
+   * @return {void}
+   */
+  reset () {
+    this.values.clear()
+  }
+
+  /**
+   * Returns samples in text exposition format without `HELP` and `TYPE` lines
+   *
+   * @private
+   * @return {string[]}
+   */
+  samples () {
+    return [...this.values.values()]
+      .map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`)
+  }
+}
+
+/**
+ * Counter, value which can only increase, for example count of processed updates
+ */
+class Counter extends Metric {
+  constructor (name, help, labelNames) {
+    super('counter', name, help, labelNames)
+  }
+
+  /**
+   * Increases counter
+   *
+   * @param {object} [labels] Labels object
+   * @param {number} [value=1] Value to add, must not be negative
+   * @throws {RangeError}
+   * @return {void}
+   */
+  inc (labels = {}, value = 1) {
+    if (value < 0) {
+      throw new RangeError('Counter can not be decreased')
+    }
+    this.entry(labels, () => ({ value: 0 })).value += value
+  }
+
+  /**
+   * Returns current value of counter
+   *
+   * @param {object} [labels] Labels object
+   * @return {number}
+   */
+  get (labels = {}) {
+    return this.entry(labels, () => ({ value: 0 })).value
+  }
+}
+
+/**
+ * Gauge, value which can go up and down, for example count of updates processing now
+ */
+class Gauge extends Metric {
+  constructor (name, help, labelNames) {
+    super('gauge', name, help, labelNames)
+  }
+
+  /**
+   * Sets gauge value
+   *
+   * @param {object} labels Labels object
+   * @param {number} value New value
+   * @return {void}
+   */
+  set (labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value
+  }
+
+  /**
+   * Increases gauge
+   *
+   * @param {object} [labels] Labels object
+   * @param {number} [value=1] Value to add
+   * @return {void}
+   */
+  inc (labels = {}, value = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += value
+  }
+
+  /**
+   * Decreases gauge
+   *
+   * @param {object} [labels] Labels object
+   * @param {number} [value=1] Value to subtract
+   * @return {void}
+   */
+  dec (labels = {}, value = 1) {
+    this.inc(labels, -value)
+  }
+
+  /**
+   * Returns current value of gauge
+   *
+   * @param {object} [labels] Labels object
+   * @return {number}
+   */
+  get (labels = {}) {
+    return this.entry(labels, () => ({ value: 0 })).value
+  }
+}
+
+/**
+ * Histogram, counts observed values in configurable buckets, for example durations of API calls
+ */
+class Histogram extends Metric {
+  /**
+   * @param {string} name Metric name
+   * @param {string} help Metric description
+   * @param {string[]} [labelNames] Names of labels
+   * @param {number[]} [buckets] Upper bounds of buckets, by default suitable for durations in seconds
+   */
+  constructor (name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames)
+    this.buckets = [...buckets].sort((a, b) => a - b)
+  }
+
+  /**
+   * Adds observed value
+   *
+   * @param {object} labels Labels object
+   * @param {number} value Observed value
+   * @return {void}
+   */
+  observe (labels, value) {
+    const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }))
+    const index = this.buckets.findIndex(bound => value <= bound)
+    if (index !== -1) {
+      entry.counts[index]++
+    }
+    entry.sum += value
+    entry.count++
+  }
+
+  /**
+   * Starts timer, returned function observes elapsed time in seconds when called
+   *
+   * ```js
+   * const end = histogram.startTimer({ method: 'sendMessage' })
+   * await doSomething()
+   * end()
+   * ```
+   *
+   * @param {object} [labels] Labels object
+   * @return {Function} Function accepting additional labels
+   */
+  startTimer (labels = {}) {
+    const start = process.hrtime.bigint()
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9
+      this.observe({ ...labels, ...extraLabels }, seconds)
+      return seconds
+    }
+  }
+
+  /**
+   * Returns summary of observed values
+   *
+   * @param {object} [labels] Labels object
+   * @return {{sum: number, count: number}}
+   */
+  get (labels = {}) {
+    const { sum, count } = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }))
+    return { sum, count }
+  }
+
+  /**
+   * Returns `_bucket`, `_sum` and `_count` samples in text exposition format
+   *
+   * @private
+   * @return {string[]}
+   */
+  samples () {
+    const lines = []
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      let cumulative = 0
+      this.buckets.forEach((bound, index) => {
+        cumulative += counts[index]
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`)
+      })
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`)
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`)
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`)
+    }
+    return lines
+  }
+}
+
+/**
+ * Registry of metrics with exposition in [Prometheus text format](https://prometheus.io/docs/instrumenting/exposition_formats/)
+ *
+ * Pass registry or `true` as `metrics` option of {@link Opengram} to collect metrics of updates processing,
+ * API calls and session stores:
+ * ```js
+ * const bot = new Opengram(process.env.BOT_TOKEN, { metrics: true })
+ *
+ * // Serve metrics on the built-in webhook server
+ * bot.launch({ webhook: { domain: 'example.com', metricsPath: '/metrics' } })
+ *
+ * // Or on your own server
+ * app.get('/metrics', bot.metrics.handler())
+ * ```
+ *
+ * Metrics are created on first use, so you can register your own metrics in the same registry:
+ * ```js
+ * const commands = bot.metrics.counter('bot_commands_total', 'Count of received commands', ['command'])
+ * bot.command('start', ctx => commands.inc({ command: 'start' }))
+ * ```
+ */
+class MetricsRegistry {
+  constructor () {
+    this.registered = new Map()
+  }
+
+  /**
+   * Returns existing metric or creates new one
+   *
+   * @private
+   * @param {Function} MetricClass Metric class
+   * @param {string} name Metric name
+   * @param {Array} args Constructor arguments
+   * @throws {TypeError}
+   * @return {Metric}
+   */
+  getOrCreate (MetricClass, name, args) {
+    const existing = this.registered.get(name)
+    if (existing) {
+      if (!(existing instanceof MetricClass)) {
+        throw new TypeError(`Metric "${name}" already registered with type ${existing.type}`)
+      }
+      return existing
+    }
+
+    const metric = new MetricClass(name, ...args)
+    this.registered.set(name, metric)
+    return metric
+  }
+
+  /**
+   * Returns counter with given name, creates it if not registered yet
+   *
+   * @param {string} name Metric name
+   * @param {string} help Metric description
+   * @param {string[]} [labelNames] Names of labels
+   * @throws {TypeError}
+   * @return {Counter}
+   */
+  counter (name, help, labelNames) {
+    return this.getOrCreate(Counter, name, [help, labelNames])
+  }
+
+  /**
+   * Returns gauge with given name, creates it if not registered yet
+   *
+   * @param {string} name Metric name
+   * @param {string} help Metric description
+   * @param {string[]} [labelNames] Names of labels
+   * @throws {TypeError}
+   * @return {Gauge}
+   */
+  gauge (name, help, labelNames) {
+    return this.getOrCreate(Gauge, name, [help, labelNames])
+  }
+
+  /**
+   * Returns histogram with given name, creates it if not registered yet
+   *
+   * @param {string} name Metric name
+   * @param {string} help Metric description
+   * @param {string[]} [labelNames] Names of labels
+   * @param {number[]} [buckets] Upper bounds of buckets
+   * @throws {TypeError}
+   * @return {Histogram}
+   */
+  histogram (name, help, labelNames, buckets) {
+    return this.getOrCreate(Histogram, name, [help, labelNames, buckets])
+  }
+
+  /**
+   * Returns registered metric or `undefined`
+   *
+   * @param {string} name Metric name
+   * @return {Counter|Gauge|Histogram|undefined}
+   */
+  get (name) {
+    return this.registered.get(name)
+  }
+
+  /**
+   * Resets values of all registered metrics
+   *
+   * @return {void}
+   */
+  reset () {
+    this.registered.forEach(metric => metric.reset())
+  }
+
+  /**
+   * Returns all metrics in Prometheus text format
+   *
+   * @return {string}
+   */
+  metrics () {
+    const lines = []
+    for (const metric of this.registered.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`)
+      lines.push(`# TYPE ${metric.name} ${metric.type}`)
+      lines.push(...metric.samples())
+    }
+    return lines.length ? `${lines.join('\n')}\n` : ''
+  }
+
+  /**
+   * Returns request handler for NodeJS [http](https://nodejs.org/api/http.html) module and
+   * [Express](https://expressjs.com), which responds with metrics in text format
+   *
+   * @return {Function}
+   */
+  handler () {
+    return (req, res) => {
+      res.writeHead(200, { 'content-type': MetricsRegistry.contentType })
+      res.end(this.metrics())
+    }
+  }
+}
+
+MetricsRegistry.contentType = 'text/plain; version=0.0.4; charset=utf-8'
+
+/**
+ * Returns label describing error of API call: Telegram error code or error name for network errors
+ *
+ * @private
+ * @param {Error} err Error object
+ * @return {string}
+ */
+function getErrorCode (err) {
+  return String(err.code ?? err.name ?? 'Error')
+}
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram, getErrorCode, DEFAULT_BUCKETS }
@@ -0,0 +1,123 @@
+const stream = require('stream')
+
+/**
+ * Writable response for `fetch` adapter, collects everything written by webhook handler
+ * and converts it into WHATWG `Response`
+ *
+ * @private
+ */
+class FetchResponse extends stream.Writable {
+  constructor () {
+    super()
+    this.statusCode = 200
+    this.headers = {}
+    this.headersSent = false
+    this.chunks = []
+    this.finishPromise = new Promise(resolve => this.once('finish', resolve))
+  }
+
+  setHeader (name, value) {
+    this.headers[name.toLowerCase()] = String(value)
+  }
+
+  writeHead (statusCode, headers = {}) {
+    this.statusCode = statusCode
+    Object.keys(headers).forEach(name => this.setHeader(name, headers[name]))
+    return this
+  }
+
+  _write (chunk, encoding, callback) {
+    this.headersSent = true
+    this.chunks.push(Buffer.from(chunk, encoding))
+    callback()
+  }
+
+  async toResponse () {
+    if (!this.writableEnded) {
+      this.end()
+    }
+    await this.finishPromise
+    return new Response(Buffer.concat(this.chunks), { status: this.statusCode, headers: this.headers })
+  }
+}
+
+/**
+ * Adapter for NodeJS [http](https://nodejs.org/api/http.html) module and [Express](https://expressjs.com)
+ *
+ * @private
+ * @param {Function} handler Webhook handler accepting `req`, `res` and `next`
+ * @return {Function}
+ */
+function http (handler) {
+  return handler
+}
+
+/**
+ * Adapter for [Koa](https://koajs.com). Parsed body from `ctx.request.body` is used, if available
+ *
+ * @private
+ * @param {Function} handler Webhook handler accepting `req`, `res` and `next`
+ * @return {Function}
+ */
+function koa (handler) {
+  return async (ctx, next) => {
+    let skipped = false
+    if (ctx.request.body != null) {
+      ctx.req.body = ctx.request.body
+    }
+
+    await handler(ctx.req, ctx.res, () => { skipped = true })
+    if (skipped) {
+      return next()
+    }
+    // Response already written by webhook handler
+    ctx.respond = false
+  }
+}
+
+/**
+ * Adapter for [Fastify](https://www.fastify.io). Parsed body from `request.body` is used, if available
+ *
+ * @private
+ * @param {Function} handler Webhook handler accepting `req`, `res` and `next`
+ * @return {Function}
+ */
+function fastify (handler) {
+  return async (request, reply) => {
+    if (request.body != null) {
+      request.raw.body = request.body
+    }
+    reply.hijack()
+    await handler(request.raw, reply.raw)
+  }
+}
+
+/**
+ * Adapter for fetch-style handlers, accepting WHATWG `Request` and returning `Response`
+ *
+ * @private
+ * @param {Function} handler Webhook handler accepting `req`, `res` and `next`
+ * @throws {Error}
+ * @return {Function}
+ */
+function fetch (handler) {
+  if (typeof Response !== 'function') {
+    throw new Error('Fetch API is not available, "fetch" webhook adapter requires Node.js 18 or newer')
+  }
+
+  return async (request) => {
+    const url = new URL(request.url)
+    const req = stream.Readable.from(request.body || [])
+    Object.assign(req, {
+      method: request.method,
+      url: url.pathname + url.search,
+      headers: Object.fromEntries(request.headers)
+    })
+
+    const res = new FetchResponse()
+    await handler(req, res)
+    return res.toResponse()
+  }
+}
+
+module.exports = { http, express: http, koa, fastify, fetch }
@@ -4,10 +4,14 @@ const fetch = require('node-fetch').default
 const fs = require('fs')
 const https = require('https')
 const path = require('path')
+const url = require('url')
 const util = require('util')
-const { TelegramError } = require('../error')
+const { TelegramError, MigrateToChatError, createTelegramError } = require('../error')
 const MultipartStream = require('./multipart-stream')
 const { compactOptions } = require('../helpers/compact')
+const { createRetryPolicy, withRetry } = require('./retry')
+const RateLimiter = require('./rate-limiter')
+const { MetricsRegistry, getErrorCode } = require('../metrics')
 const { isStream } = MultipartStream
 
 const WEBHOOK_REPLY_METHOD_ALLOWLIST = new Set([
@@ -37,7 +41,12 @@ const DEFAULT_OPTIONS = {
     keepAliveMsecs: 10000
   }),
   attachmentAgent: undefined,
-  testEnv: false
+  testEnv: false,
+  retry: false,
+  rateLimit: false,
+  metrics: false,
+  migrateChats: false,
+  onChatMigrate: undefined
 }
 
 const WEBHOOK_REPLY_STUB = {
@@ -92,6 +101,24 @@ function includesMedia (payload) {
   )
 }
 
+/**
+ * Checks if payload contains streams, which can't be sent twice
+ *
+ * @private
+ * @param {object} payload Payload object
+ * @return {boolean}
+ */
+function includesStreams (payload) {
+  return Object.values(payload).some(value => {
+    if (Array.isArray(value)) {
+      return value.some(item => item && typeof item.media === 'object' && isStream(item.media.source))
+    }
+    return value !== null && typeof value === 'object' && (
+      isStream(value.source) || (typeof value.media === 'object' && isStream(value.media.source))
+    )
+  })
+}
+
 function buildJSONConfig (payload) {
   return Promise.resolve({
     method: 'POST',
@@ -194,14 +221,16 @@ async function attachFormMedia (form, media, id, agent) {
     return
   }
   if (media.source) {
-    if (fs.existsSync(media.source)) {
-      fileName = media.filename || path.basename(media.source)
-      media.source = fs.createReadStream(media.source)
+    // Don't replace path in given object, so the same payload can be sent again
+    let source = media.source
+    if (fs.existsSync(source)) {
+      fileName = media.filename || path.basename(source)
+      source = fs.createReadStream(source)
     }
-    if (isStream(media.source) || Buffer.isBuffer(media.source)) {
+    if (isStream(source) || Buffer.isBuffer(source)) {
       form.addPart({
         headers: { 'content-disposition': `form-data; name="${id}"; filename="${fileName}"` },
-        body: media.source
+        body: source
       })
     }
   }
@@ -220,6 +249,7 @@ function isKoaResponse (response) {
 
 async function answerToWebhook (response, payload = {}, options) {
   if (!includesMedia(payload)) {
+    // Koa response passed directly to `handleUpdate`, `koa` webhook adapter passes NodeJS response instead
     if (isKoaResponse(response)) {
       response.body = payload
       return WEBHOOK_REPLY_STUB
@@ -281,6 +311,15 @@ class ApiClient {
     if (this.options.apiRoot.startsWith('http://')) {
       this.options.agent = null
     }
+    this.options.retry = createRetryPolicy(this.options.retry)
+    this.options.interceptors = this.options.interceptors || []
+    // Limiter instance is kept in options, so it shared with per-update instances created from these options
+    if (this.options.rateLimit && !(this.options.rateLimit instanceof RateLimiter)) {
+      this.options.rateLimit = new RateLimiter(this.options.rateLimit === true ? {} : this.options.rateLimit)
+    }
+    if (this.options.metrics && !(this.options.metrics instanceof MetricsRegistry)) {
+      this.options.metrics = new MetricsRegistry()
+    }
     this.response = webhookResponse
   }
 
@@ -307,6 +346,76 @@ class ApiClient {
     return this.options.webhookReply
   }
 
+  /**
+   * Returns {@link RateLimiter} used for API calls or `null` if `rateLimit` option disabled
+   *
+   * Can be used to observe queue depth, for example `telegram.rateLimiter.size`
+   *
+   * @return {RateLimiter|null}
+   */
+  get rateLimiter () {
+    return this.options.rateLimit || null
+  }
+
+  /**
+   * Returns {@link MetricsRegistry} used for API calls metrics or `null` if `metrics` option disabled
+   *
+   * @return {MetricsRegistry|null}
+   */
+  get metrics () {
+    return this.options.metrics || null
+  }
+
+  /**
+   * @callback InterceptorFn
+   * @param {string} method Telegram API method name
+   * @param {object} payload Object with method parameters
+   * @param {Function} next Calls next interceptor or makes API call, may be called with other method name and / or
+   *    payload: `next(method, payload)`. Returns promise with API call result
+   * @return {Promise<*>|*}
+   */
+
+  /**
+   * Registers interceptor for all API calls, including calls made via webhook reply.
+   * Interceptors called in order of registration and shared by all instances created with
+   * the same options, so interceptors registered with `bot.telegram.use` also applied to `ctx.telegram`
+   *
+   * Interceptor can change method name or payload, log calls or short-circuit them by returning
+   * result without calling `next`:
+   * ```js
+   * // Add default parse mode
+   * bot.telegram.use((method, payload, next) => {
+   *   if (method === 'sendMessage' && !payload.parse_mode) {
+   *     payload = { ...payload, parse_mode: 'HTML' }
+   *   }
+   *   return next(method, payload)
+   * })
+   *
+   * // Log calls
+   * bot.telegram.use(async (method, payload, next) => {
+   *   const result = await next()
+   *   console.log(method, payload, result)
+   *   return result
+   * })
+   *
+   * // Dry-run mode
+   * bot.telegram.use((method, payload, next) => method.startsWith('get') ? next() : true)
+   * ```
+   *
+   * @param {...InterceptorFn} interceptors Interceptor functions
+   * @throws {TypeError}
+   * @return {ApiClient}
+   */
+  use (...interceptors) {
+    for (const interceptor of interceptors) {
+      if (typeof interceptor !== 'function') {
+        throw new TypeError('Interceptor must be a function')
+      }
+      this.options.interceptors.push(interceptor)
+    }
+    return this
+  }
+
   /**
    * @typedef {object} callApiExtra
    * @property {object} signal Optional `AbortSignal` to cancel the request
@@ -316,6 +425,7 @@ class ApiClient {
    * Method for direct call telegram bots api methods
    *
    * Takes an optional `AbortSignal` object that allows to cancel the API call if desired.
+   * If `retry` option enabled, aborting the signal also stops further retry attempts.
    *
    * For example:
    * ```js
@@ -339,12 +449,56 @@ class ApiClient {
    * @return {Promise<object|boolean|number>}
    */
   async callApi (method, data = {}, extra = {}) {
-    const { token, options, response, responseEnd } = this
-
     const payload = Object.keys(data)
       .filter((key) => typeof data[key] !== 'undefined' && data[key] !== null)
       .reduce((acc, key) => ({ ...acc, [key]: data[key] }), {})
 
+    const { interceptors } = this.options
+    const dispatch = (index, method, payload) => {
+      if (index === interceptors.length) {
+        return this.send(method, payload, extra)
+      }
+      return interceptors[index](
+        method,
+        payload,
+        (nextMethod = method, nextPayload = payload) => dispatch(index + 1, nextMethod, nextPayload)
+      )
+    }
+
+    const { metrics } = this
+    if (!metrics) {
+      return await dispatch(0, method, payload)
+    }
+
+    metrics.counter('opengram_api_calls_total', 'Count of Bot API calls', ['method']).inc({ method })
+    const endTimer = metrics
+      .histogram('opengram_api_call_duration_seconds', 'Duration of Bot API calls in seconds', ['method'])
+      .startTimer({ method })
+    try {
+      return await dispatch(0, method, payload)
+    } catch (err) {
+      metrics
+        .counter('opengram_api_errors_total', 'Count of failed Bot API calls', ['method', 'error_code'])
+        .inc({ method, error_code: getErrorCode(err) })
+      throw err
+    } finally {
+      endTimer()
+    }
+  }
+
+  /**
+   * Sends API call via webhook reply if possible, otherwise makes HTTP request
+   *
+   * @private
+   * @param {string} method Telegram API method name
+   * @param {object} payload Object with method parameters
+   * @param {callApiExtra} extra Extra parameters
+   * @throws {TelegramError}
+   * @return {Promise<object|boolean|number>}
+   */
+  async send (method, payload, extra) {
+    const { token, options, response, responseEnd } = this
+
     if (options.webhookReply && response && !responseEnd && WEBHOOK_REPLY_METHOD_ALLOWLIST.has(method)) {
       debug('Call via webhook', method, payload)
       this.responseEnd = true
@@ -352,16 +506,77 @@ class ApiClient {
     }
 
     if (!token) {
-      throw new TelegramError({ error_code: 401, description: 'Bot Token is required' })
+      throw createTelegramError({ error_code: 401, description: 'Bot Token is required' })
     }
 
+    // Multipart bodies built from streams can't be sent twice, so such uploads are never retried
+    const retryPolicy = includesStreams(payload) ? null : options.retry
+    const limiter = this.rateLimiter
+    const attempt = limiter
+      ? () => limiter.schedule(method, payload, () => this.request(method, payload, extra), extra.signal)
+      : () => this.request(method, payload, extra)
+
+    try {
+      return await withRetry(attempt, retryPolicy, method, extra.signal)
+    } catch (err) {
+      if (!options.migrateChats || !(err instanceof MigrateToChatError) || payload.chat_id === undefined) {
+        throw err
+      }
+
+      debug('Chat %s migrated to %s', payload.chat_id, err.migrateToChatId)
+      if (typeof options.onChatMigrate === 'function') {
+        await options.onChatMigrate(payload.chat_id, err.migrateToChatId, method)
+      }
+
+      if (includesStreams(payload)) {
+        throw err
+      }
+      return this.send(method, { ...payload, chat_id: err.migrateToChatId }, extra)
+    }
+  }
+
+  /**
+   * Opens readable stream for file URL returned by {@link Telegram#getFileLink}.
+   * Files of local Bot API servers (`file:` URL) are read directly from disk
+   *
+   * @private
+   * @param {URL} fileUrl File URL
+   * @param {AbortSignal} [signal] Optional `AbortSignal` to cancel the request
+   * @throws {TelegramError}
+   * @return {Promise<stream.Readable>}
+   */
+  async download (fileUrl, signal) {
+    if (fileUrl.protocol === 'file:') {
+      return fs.createReadStream(url.fileURLToPath(fileUrl))
+    }
+
+    const res = await fetch(fileUrl, { agent: this.options.agent, signal }).catch(redactToken)
+    if (!res.ok) {
+      throw createTelegramError({ error_code: res.status, description: res.statusText }, { method: 'downloadFile' })
+    }
+    return res.body
+  }
+
+  /**
+   * Makes one HTTP request to Bot API
+   *
+   * @private
+   * @param {string} method Telegram API method name
+   * @param {object} payload Object with method parameters
+   * @param {callApiExtra} extra Extra parameters
+   * @throws {TelegramError}
+   * @return {Promise<object|boolean|number>}
+   */
+  async request (method, payload, extra) {
+    const { token, options } = this
+
     debug('HTTP call', method, payload)
     const config = includesMedia(payload)
       ? await buildFormDataConfig({ method, ...payload }, options.attachmentAgent)
       : await buildJSONConfig(payload)
 
     const apiUrl = new URL(
-      `./${this.options.apiPrefix}${token}${options.testEnv ? '/test' : ''}/${method}`,
+      `./${options.apiPrefix}${token}${options.testEnv ? '/test' : ''}/${method}`,
       options.apiRoot
     )
     config.agent = options.agent
@@ -385,10 +600,10 @@ class ApiClient {
 
     if (!responseData.ok) {
       debug('API call failed', responseData)
-      throw new TelegramError(responseData, { method, payload })
+      throw createTelegramError(responseData, { method, payload })
     }
     return responseData.result
   }
 }
 
-module.exports = ApiClient
+module.exports = Object.assign(ApiClient, { DEFAULT_OPTIONS })
@@ -0,0 +1,86 @@
+const debug = require('debug')('opengram:health')
+
+/**
+ * @typedef {object} healthChecksOptions
+ * @property {string} [healthPath='/healthz'] Path of liveness endpoint
+ * @property {string} [readyPath='/readyz'] Path of readiness endpoint
+ * @property {number} [cacheTime=10000] Time in milliseconds for caching result of `getWebhookInfo`
+ */
+
+/**
+ * Sends JSON response
+ *
+ * @private
+ * @param {http.ServerResponse} res Response
+ * @param {number} statusCode HTTP status code
+ * @param {object} body Response body
+ * @return {void}
+ */
+function sendJson (res, statusCode, body) {
+  res.statusCode = statusCode
+  res.setHeader('content-type', 'application/json')
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Creates handler of health and readiness endpoints.
+ *
+ * Both endpoints respond with bot state: whether `botInfo` is loaded, count of queued and processing
+ * updates and time of the last successfully processed update. Readiness endpoint also checks that webhook is
+ * registered and responds `503 Service Unavailable` when bot is not ready
+ *
+ * @private
+ * @param {Opengram} bot Bot instance
+ * @param {healthChecksOptions} [options] Options
+ * @return {Function}
+ */
+function createHealthHandler (bot, options = {}) {
+  const healthPath = options.healthPath || '/healthz'
+  const readyPath = options.readyPath || '/readyz'
+  const cacheTime = options.cacheTime ?? 10000
+  let cache
+
+  const getWebhookInfo = () => {
+    if (!cache || Date.now() - cache.time > cacheTime) {
+      const entry = { time: Date.now(), promise: bot.telegram.getWebhookInfo() }
+      // Don't cache errors
+      entry.promise.catch(() => {
+        if (cache === entry) cache = undefined
+      })
+      cache = entry
+    }
+    return cache.promise
+  }
+
+  return async (req, res, next) => {
+    const path = req.url.split('?')[0]
+    if (req.method !== 'GET' || (path !== healthPath && path !== readyPath)) {
+      return next()
+    }
+
+    const state = {
+      botInfo: bot.context.botInfo !== undefined,
+      queueSize: [...bot.updateQueues].reduce((size, queue) => size + queue.size, 0),
+      processing: bot.inFlightUpdates.size,
+      lastUpdateAt: bot.lastUpdateAt ? new Date(bot.lastUpdateAt).toISOString() : null
+    }
+
+    if (path === healthPath) {
+      return sendJson(res, 200, { status: 'ok', ...state })
+    }
+
+    try {
+      const info = await getWebhookInfo()
+      state.webhook = Boolean(info.url)
+    } catch (err) {
+      debug('Failed to get webhook info', err.message)
+      state.webhook = false
+      state.error = err.message
+    }
+
+    const ready = state.botInfo && state.webhook
+    sendJson(res, ready ? 200 : 503, { status: ready ? 'ready' : 'not ready', ...state })
+  }
+}
+
+module.exports = { createHealthHandler }
@@ -0,0 +1,280 @@
+const debug = require('debug')('opengram:rate-limiter')
+const { AbortError } = require('node-fetch')
+
+const DEFAULT_LIMITS = {
+  global: { limit: 30, interval: 1000 },
+  privateChat: { limit: 1, interval: 1000 },
+  group: { limit: 20, interval: 60000 }
+}
+
+const BYPASS_METHODS = [
+  'answerCallbackQuery',
+  'answerInlineQuery',
+  'answerPreCheckoutQuery',
+  'answerShippingQuery',
+  'answerWebAppQuery',
+  'close',
+  'deleteWebhook',
+  'logOut',
+  'sendChatAction',
+  'setWebhook'
+]
+
+/**
+ * @typedef {object} RateLimit
+ * @property {number} limit Maximum count of calls in interval
+ * @property {number} interval Interval in milliseconds
+ */
+
+/**
+ * @typedef {object} RateLimiterOptions
+ * @property {RateLimit} [global] Global limit for all chats. By default, 30 calls per second
+ * @property {RateLimit} [privateChat] Limit for one private chat. By default, 1 call per second
+ * @property {RateLimit} [group] Limit for one group, supergroup or channel. By default, 20 calls per minute
+ * @property {string[]} [bypassMethods] Additional API methods which should not be limited. Methods starting
+ *    with `get`, answers to queries, `sendChatAction` and webhook methods are never limited
+ */
+
+/**
+ * Scheduler that queues outgoing API calls and enforces Telegram
+ * [limits](https://core.telegram.org/bots/faq#my-bot-is-hitting-limits-how-do-i-avoid-this) using sliding windows.
+ * Calls are limited globally and per chat, chat is determined by `chat_id` of the call payload.
+ * Calls for the same chat are always made in order of scheduling.
+ *
+ * Usually you don't need to create it directly, pass `rateLimit` option to {@link Telegram} instead:
+ * ```js
+ * const bot = new Opengram(process.env.BOT_TOKEN, {
+ *   telegram: { rateLimit: true }
+ * })
+ *
+ * // Observe queue depth
+ * console.log(bot.telegram.rateLimiter.size)
+ * ```
+ */
+class RateLimiter {
+  /**
+   * @param {RateLimiterOptions} [options] Options
+   */
+  constructor (options = {}) {
+    this.limits = {
+      global: { ...DEFAULT_LIMITS.global, ...options.global },
+      privateChat: { ...DEFAULT_LIMITS.privateChat, ...options.privateChat },
+      group: { ...DEFAULT_LIMITS.group, ...options.group }
+    }
+    this.bypassMethods = new Set([...BYPASS_METHODS, ...(options.bypassMethods || [])])
+    this.queue = []
+    this.windows = new Map()
+    this.timer = null
+    this.lastCleanup = Date.now()
+  }
+
+  /**
+   * Returns count of calls waiting in queue
+   *
+   * @return {number}
+   */
+  get size () {
+    return this.queue.length
+  }
+
+  /**
+   * Returns count of calls waiting in queue for given chat
+   *
+   * @param {number|string} chatId Chat identifier
+   * @return {number}
+   */
+  sizeOf (chatId) {
+    return this.queue.filter(job => job.key === `chat:${chatId}`).length
+  }
+
+  /**
+   * Schedules API call, returns promise resolved with call result when call made
+   *
+   * @param {string} method Telegram API method name
+   * @param {object} payload Object with method parameters
+   * @param {Function} fn Function which makes API call
+   * @param {AbortSignal} [signal] Abort signal, removes call from queue when aborted
+   * @return {Promise<*>}
+   */
+  schedule (method, payload, fn, signal) {
+    if (method.startsWith('get') || this.bypassMethods.has(method)) {
+      return fn()
+    }
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(new AbortError('The user aborted a request.'))
+      }
+
+      const job = {
+        key: payload.chat_id === undefined ? undefined : `chat:${payload.chat_id}`,
+        limit: this.getChatLimit(payload.chat_id),
+        fn,
+        resolve,
+        reject,
+        signal
+      }
+
+      if (signal) {
+        job.onAbort = () => {
+          const index = this.queue.indexOf(job)
+          if (index !== -1) {
+            this.queue.splice(index, 1)
+            reject(new AbortError('The user aborted a request.'))
+          }
+        }
+        signal.addEventListener('abort', job.onAbort)
+      }
+
+      this.queue.push(job)
+      this.drain()
+    })
+  }
+
+  /**
+   * Returns limit for chat. Positive identifiers belong to private chats, others to groups and channels
+   *
+   * @private
+   * @param {number|string} [chatId] Chat identifier
+   * @return {RateLimit|undefined}
+   */
+  getChatLimit (chatId) {
+    if (chatId === undefined) {
+      return undefined
+    }
+    return Number(chatId) > 0 ? this.limits.privateChat : this.limits.group
+  }
+
+  /**
+   * Returns time in milliseconds to wait before next call for given window key will be allowed
+   *
+   * @private
+   * @param {string} key Window key
+   * @param {RateLimit} limit Limit for window
+   * @param {number} now Current timestamp
+   * @return {number}
+   */
+  getWaitTime (key, limit, now) {
+    const timestamps = this.windows.get(key)
+    if (!timestamps) {
+      return 0
+    }
+
+    while (timestamps.length && timestamps[0] <= now - limit.interval) {
+      timestamps.shift()
+    }
+
+    if (timestamps.length < limit.limit) {
+      return 0
+    }
+    return timestamps[0] + limit.interval - now
+  }
+
+  /**
+   * Registers call in window
+   *
+   * @private
+   * @param {string} key Window key
+   * @param {number} now Current timestamp
+   * @return {void}
+   */
+  hit (key, now) {
+    const timestamps = this.windows.get(key)
+    if (timestamps) {
+      timestamps.push(now)
+    } else {
+      this.windows.set(key, [now])
+    }
+  }
+
+  /**
+   * Removes windows without calls in the longest interval
+   *
+   * @private
+   * @param {number} now Current timestamp
+   * @return {void}
+   */
+  cleanup (now) {
+    const maxInterval = Math.max(...Object.values(this.limits).map(limit => limit.interval))
+    if (now - this.lastCleanup < maxInterval) {
+      return
+    }
+
+    this.lastCleanup = now
+    for (const [key, timestamps] of this.windows) {
+      if (timestamps[timestamps.length - 1] <= now - maxInterval) {
+        this.windows.delete(key)
+      }
+    }
+  }
+
+  /**
+   * Starts all calls allowed by limits and sets timer for others
+   *
+   * @private
+   * @return {void}
+   */
+  drain () {
+    clearTimeout(this.timer)
+    this.timer = null
+
+    const now = Date.now()
+    const blocked = new Set()
+    let wait = Infinity
+
+    for (let i = 0; i < this.queue.length;) {
+      const globalWait = this.getWaitTime('global', this.limits.global, now)
+      if (globalWait > 0) {
+        wait = Math.min(wait, globalWait)
+        break
+      }
+
+      const job = this.queue[i]
+      if (job.key !== undefined) {
+        // Keep order of calls for the same chat
+        if (blocked.has(job.key)) {
+          i++
+          continue
+        }
+
+        const chatWait = this.getWaitTime(job.key, job.limit, now)
+        if (chatWait > 0) {
+          blocked.add(job.key)
+          wait = Math.min(wait, chatWait)
+          i++
+          continue
+        }
+        this.hit(job.key, now)
+      }
+
+      this.hit('global', now)
+      this.queue.splice(i, 1)
+      this.run(job)
+    }
+
+    if (this.queue.length && wait !== Infinity) {
+      debug('%d calls queued, next check in %dms', this.queue.length, wait)
+      this.timer = setTimeout(() => this.drain(), wait)
+    } else {
+      this.cleanup(now)
+    }
+  }
+
+  /**
+   * Makes queued call
+   *
+   * @private
+   * @param {object} job Queued call
+   * @return {void}
+   */
+  run (job) {
+    if (job.signal) {
+      job.signal.removeEventListener('abort', job.onAbort)
+    }
+    Promise.resolve()
+      .then(job.fn)
+      .then(job.resolve, job.reject)
+  }
+}
+
+module.exports = RateLimiter
@@ -0,0 +1,147 @@
+const debug = require('debug')('opengram:retry')
+const { AbortError } = require('node-fetch')
+const { isTelegramError, FloodWaitError } = require('../error')
+const { compactOptions } = require('../helpers/compact')
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3,
+  retryAfter: true,
+  maxRetryAfter: 60,
+  minDelay: 500,
+  maxDelay: 10000,
+  excludeMethods: []
+}
+
+/**
+ * @typedef {object} RetryOptions
+ * @property {number} [maxAttempts=3] Maximum number of attempts for one API call, including the first one
+ * @property {boolean} [retryAfter=true] Wait `parameters.retry_after` seconds when Telegram responds with
+ *    `429 Too Many Requests`. If `false`, exponential backoff is used for 429 errors too
+ * @property {number} [maxRetryAfter=60] Maximum `retry_after` value in seconds which will be waited. If Telegram
+ *    asks to wait longer, the error is thrown immediately
+ * @property {number} [minDelay=500] Initial backoff delay in milliseconds for 5xx and network errors
+ * @property {number} [maxDelay=10000] Maximum backoff delay in milliseconds
+ * @property {string[]} [excludeMethods] Names of API methods which should never be retried
+ */
+
+/**
+ * Creates normalized retry policy from `retry` option of {@link TelegramOptions}
+ *
+ * @private
+ * @param {boolean|RetryOptions} [options] Retry options, `true` for default policy
+ * @return {object|null}
+ */
+function createRetryPolicy (options) {
+  if (!options) {
+    return null
+  }
+
+  const policy = {
+    ...DEFAULT_RETRY_OPTIONS,
+    ...compactOptions(options === true ? {} : options)
+  }
+  policy.excludeMethods = new Set(policy.excludeMethods)
+  return policy
+}
+
+/**
+ * Checks if failed API call can be repeated.
+ * Retries only 429, 5xx and network errors, aborted requests never retried
+ *
+ * @private
+ * @param {Error} err Error object
+ * @return {boolean}
+ */
+function isRetryableError (err) {
+  if (err.name === 'AbortError') {
+    return false
+  }
+  if (isTelegramError(err)) {
+    return err.code === 429 || err.code >= 500
+  }
+  return err.name === 'FetchError'
+}
+
+/**
+ * Returns delay in milliseconds before next attempt or `null` if call should not be repeated
+ *
+ * @private
+ * @param {object} policy Retry policy
+ * @param {number} attempt Number of failed attempt, starting from 1
+ * @param {Error} err Error of failed attempt
+ * @return {number|null}
+ */
+function getRetryDelay (policy, attempt, err) {
+  if (err instanceof FloodWaitError && policy.retryAfter && err.retryAfter !== undefined) {
+    return err.retryAfter > policy.maxRetryAfter ? null : err.retryAfter * 1000
+  }
+
+  // Exponential backoff with "equal jitter"
+  const backoff = Math.min(policy.maxDelay, policy.minDelay * 2 ** (attempt - 1))
+  return Math.round(backoff / 2 + Math.random() * backoff / 2)
+}
+
+/**
+ * Waits given time, rejects with `AbortError` if signal aborted
+ *
+ * @private
+ * @param {number} ms Time to wait in milliseconds
+ * @param {AbortSignal} [signal] Abort signal
+ * @return {Promise<void>}
+ */
+function sleep (ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new AbortError('The user aborted a request.'))
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(new AbortError('The user aborted a request.'))
+    }
+    const timer = setTimeout(() => {
+      signal && signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+
+    signal && signal.addEventListener('abort', onAbort)
+  })
+}
+
+/**
+ * Calls given function and repeats it according to retry policy
+ *
+ * @private
+ * @param {Function} fn Function which makes API call
+ * @param {object|null} policy Retry policy created by {@link createRetryPolicy}, `null` to disable retries
+ * @param {string} method API method name
+ * @param {AbortSignal} [signal] Abort signal, stops retrying when aborted
+ * @throws {Error}
+ * @return {Promise<*>}
+ */
+async function withRetry (fn, policy, method, signal) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn()
+    } catch (err) {
+      if (
+        !policy ||
+        attempt >= policy.maxAttempts ||
+        policy.excludeMethods.has(method) ||
+        !isRetryableError(err)
+      ) {
+        throw err
+      }
+
+      const delay = getRetryDelay(policy, attempt, err)
+      if (delay === null) {
+        throw err
+      }
+
+      debug('API call %s failed (attempt %d), retrying in %dms', method, attempt, delay, err.message)
+      await sleep(delay, signal)
+    }
+  }
+}
+
+module.exports = { createRetryPolicy, withRetry, sleep }
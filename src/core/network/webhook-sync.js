@@ -0,0 +1,120 @@
+const debug = require('debug')('opengram:webhook')
+
+/**
+ * Checks if webhook registered in Telegram differs from expected one. Secret token is not returned by
+ * `getWebhookInfo`, so it can't be compared
+ *
+ * @private
+ * @param {WebhookInfo} info Current webhook info
+ * @param {string} url Expected webhook URL
+ * @param {setWebhookExtra} extra Expected webhook parameters
+ * @return {boolean}
+ */
+function isWebhookOutdated (info, url, extra) {
+  if (info.url !== url) {
+    return true
+  }
+  if (extra.max_connections !== undefined && info.max_connections !== extra.max_connections) {
+    return true
+  }
+  if (extra.ip_address !== undefined && info.ip_address !== extra.ip_address) {
+    return true
+  }
+  if (extra.certificate !== undefined && !info.has_custom_certificate) {
+    return true
+  }
+  if (extra.allowed_updates !== undefined) {
+    const current = [...(info.allowed_updates || [])].sort().join()
+    const expected = [...extra.allowed_updates].sort().join()
+    return current !== expected
+  }
+  return false
+}
+
+/**
+ * Sets webhook if it's not registered yet or differs from expected one. Webhook with secret token is always set,
+ * because secret token may be changed since webhook was registered, and it can't be compared
+ *
+ * @private
+ * @param {Telegram} telegram Telegram instance
+ * @param {string} url Webhook URL
+ * @param {setWebhookExtra} [extra] Webhook parameters
+ * @param {boolean} [force=false] Set webhook without comparison
+ * @throws {TelegramError}
+ * @return {Promise<boolean>} `true` if webhook was set
+ */
+async function ensureWebhook (telegram, url, extra = {}, force = false) {
+  if (!force && !extra.drop_pending_updates && extra.secret_token === undefined) {
+    const info = await telegram.getWebhookInfo()
+    if (!isWebhookOutdated(info, url, extra)) {
+      debug('Webhook is up to date')
+      return false
+    }
+  }
+
+  debug('Setting webhook', url)
+  await telegram.setWebhook(url, extra)
+  return true
+}
+
+/**
+ * @typedef {object} WebhookMonitorOptions
+ * @property {number} interval Interval of checks in milliseconds
+ * @property {Function} [onError] Called with `last_error_message` and webhook info, when Telegram reports
+ *    new error of updates delivery
+ */
+
+/**
+ * Periodically checks webhook info, sets webhook again when it's changed and reports delivery errors
+ *
+ * @private
+ */
+class WebhookMonitor {
+  /**
+   * @param {Telegram} telegram Telegram instance
+   * @param {string} url Webhook URL
+   * @param {setWebhookExtra} extra Webhook parameters
+   * @param {WebhookMonitorOptions} options Options
+   */
+  constructor (telegram, url, extra, options) {
+    this.telegram = telegram
+    this.url = url
+    // Object is not copied, so changes of secret token are applied
+    this.extra = extra
+    this.options = options
+    this.lastErrorDate = Math.floor(Date.now() / 1000)
+    this.timer = undefined
+  }
+
+  start () {
+    this.timer = setInterval(() => this.check(), this.options.interval)
+    this.timer.unref()
+  }
+
+  stop () {
+    clearInterval(this.timer)
+  }
+
+  /**
+   * @private
+   * @return {Promise<void>}
+   */
+  async check () {
+    try {
+      const info = await this.telegram.getWebhookInfo()
+      if (info.last_error_date > this.lastErrorDate) {
+        this.lastErrorDate = info.last_error_date
+        this.options.onError && await this.options.onError(info.last_error_message, info)
+      }
+      if (isWebhookOutdated(info, this.url, this.extra)) {
+        debug('Webhook changed, setting it again')
+        // Pending updates must be dropped only on start
+        await this.telegram.setWebhook(this.url, { ...this.extra, drop_pending_updates: undefined })
+      }
+    } catch (err) {
+      console.error('Failed to check webhook.', err)
+    }
+  }
+}
+
+module.exports = { isWebhookOutdated, ensureWebhook, WebhookMonitor }
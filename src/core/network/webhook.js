@@ -1,5 +1,6 @@
 const debug = require('debug')('opengram:webhook')
 const crypto = require('crypto')
+const { TELEGRAM_SUBNETS, createIpMatcher, getClientIp } = require('../helpers/ip')
 
 /**
  * Call native "crypto.timingSafeEqual" methods.
@@ -30,24 +31,69 @@ function timingSafeEqual (a, b) {
   return crypto.timingSafeEqual(bufA, bufB) && aLen === bLen
 }
 
+/**
+ * Reads request body, returns `null` if body larger than `maxSize` bytes
+ *
+ * @private
+ * @param {http.IncomingMessage} req Request object
+ * @param {number} [maxSize] Maximum body size in bytes
+ * @return {Promise<string|null>}
+ */
+async function readBody (req, maxSize = Infinity) {
+  const chunks = []
+  let size = 0
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > maxSize) {
+      return null
+    }
+    chunks.push(Buffer.from(chunk))
+  }
+  return Buffer.concat(chunks).toString('utf-8')
+}
+
 module.exports = function (config, updateHandler, errorHandler) {
+  const isAllowedIp = config.ipAllowlist
+    ? createIpMatcher(config.ipAllowlist === true ? TELEGRAM_SUBNETS : config.ipAllowlist)
+    : null
+  // Wrong secret can trigger webhook resync, so without allowlist only Telegram addresses are trusted for it
+  const canReportMismatch = isAllowedIp || createIpMatcher(TELEGRAM_SUBNETS)
+  const maxBodySize = config.maxBodySize ?? Infinity
+
   return async (req, res, next) => {
     debug('Incoming request', req.method, req.url)
-    const secretHeader = req.headers['x-telegram-bot-api-secret-token']
-
-    if (
-      req.method !== 'POST' || (
-        (config.secret !== undefined && config.path === req.url && !timingSafeEqual(config.secret, secretHeader)) ||
-        !timingSafeEqual(config.path, req.url)
-      )
-    ) {
+    if (req.method !== 'POST' || !timingSafeEqual(config.path, req.url)) {
       if (typeof next === 'function') {
         return next()
       }
+      res.statusCode = 404
+      return res.end()
+    }
+
+    const ip = getClientIp(req, config.trustProxy)
+    if (isAllowedIp && !isAllowedIp(ip)) {
+      debug('Request from not allowed address', ip)
       res.statusCode = 403
       return res.end()
     }
 
+    // Secret is read on every request, so accepted secrets can be changed during rotation
+    const secrets = config.secret === undefined ? [] : [].concat(config.secret)
+    const secretHeader = req.headers['x-telegram-bot-api-secret-token']
+    if (secrets.length && !secrets.some(secret => timingSafeEqual(secret, secretHeader))) {
+      debug('Request with wrong secret token')
+      if (typeof config.onSecretMismatch === 'function' && canReportMismatch(ip)) {
+        config.onSecretMismatch()
+      }
+      res.statusCode = 401
+      return res.end()
+    }
+
+    if (Number(req.headers['content-length']) > maxBodySize) {
+      res.statusCode = 413
+      return res.end()
+    }
+
     let update
 
     if (req.body != null) {
@@ -56,9 +102,10 @@ module.exports = function (config, updateHandler, errorHandler) {
       return
     }
 
-    let body = ''
-    for await (const chunk of req) {
-      body += String(chunk)
+    const body = await readBody(req, maxBodySize)
+    if (body === null) {
+      res.statusCode = 413
+      return res.end()
     }
 
     try {
@@ -72,3 +119,4 @@ module.exports = function (config, updateHandler, errorHandler) {
     await updateHandler(update, res)
   }
 }
+module.exports.timingSafeEqual = timingSafeEqual
@@ -0,0 +1,323 @@
+const debug = require('debug')('opengram:store')
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const MemoryStore = require('./memory')
+
+const FILE_EXTENSION = '.json'
+
+/**
+ * @typedef {object} FileStoreOptions
+ * @property {string} [dir='.opengram-sessions'] Directory for storing files, created if not exists
+ * @property {boolean|number} [cache=false] Keep values in memory, so only writes hit the disk.
+ *    Number limits count of cached values, least recently used values removed from the cache.
+ *    Use cache only if directory is not shared between processes
+ * @property {boolean} [shard=false] Store files in subdirectories named by the first two characters of SHA-1 hash
+ *    of key, so directory doesn't contain too many files
+ * @property {number} [cleanupInterval] Interval in milliseconds for removing expired values from disk.
+ *    Timer doesn't keep process running
+ */
+
+/**
+ * Stores values as JSON files, one file for every key. Files are replaced atomically, so values are not corrupted
+ * if process crashes during writing.
+ *
+ * Value saved with TTL expires after given time since the last write or {@link FileStore#touch}. Lifetime is
+ * counted from modification time of the file, so `touch` doesn't rewrite it. Values with `expires` field,
+ * containing timestamp in milliseconds, are treated as expired after this time too. Expired values are not
+ * returned by `get` and removed from disk on access or by {@link FileStore#cleanup}.
+ * Store can be used for keeping sessions between restarts:
+ *
+ * ```js
+ * bot.use(
+ *   session({
+ *     store: new FileStore({ dir: './sessions', cache: 1000, cleanupInterval: 60 * 60 * 1000 }),
+ *     ttl: 7 * 24 * 60 * 60
+ *   })
+ * )
+ * ```
+ */
+class FileStore {
+  /**
+   * @param {FileStoreOptions} [options] Options
+   */
+  constructor (options = {}) {
+    this.dir = path.resolve(options.dir || '.opengram-sessions')
+    this.shard = Boolean(options.shard)
+    this.cache = options.cache
+      ? new MemoryStore({ maxSize: options.cache === true ? Infinity : options.cache })
+      : null
+    this.createdDirs = new Set()
+    this.writes = 0
+    this.cleanupTimer = undefined
+    if (options.cleanupInterval) {
+      this.cleanupTimer = setInterval(
+        () => this.cleanup().catch(err => debug('Failed to remove expired values', err)),
+        options.cleanupInterval
+      )
+      this.cleanupTimer.unref()
+    }
+  }
+
+  /**
+   * Store expires values itself, so {@link Session} passes TTL to `set` and `touch` methods
+   *
+   * @return {boolean}
+   */
+  get supportsTtl () {
+    return true
+  }
+
+  /**
+   * Returns path of file for given key
+   *
+   * @private
+   * @param {string} key Key
+   * @return {string}
+   */
+  getPath (key) {
+    const name = encodeURIComponent(key) + FILE_EXTENSION
+    if (!this.shard) {
+      return path.join(this.dir, name)
+    }
+    const hash = crypto.createHash('sha1').update(String(key)).digest('hex')
+    return path.join(this.dir, hash.slice(0, 2), name)
+  }
+
+  /**
+   * Returns value or `undefined` if value not stored or expired
+   *
+   * @param {string} key Key
+   * @throws {Error}
+   * @return {Promise<*|undefined>}
+   */
+  async get (key) {
+    const entry = await this.getEntry(key)
+    return entry && entry.value
+  }
+
+  /**
+   * Saves value. Value should be serializable to JSON
+   *
+   * @param {string} key Key
+   * @param {*} value Value
+   * @param {number} [ttl] Time to live of value in milliseconds. By default, value never expires
+   * @throws {Error}
+   * @return {Promise<void>}
+   */
+  async set (key, value, ttl) {
+    const filePath = this.getPath(key)
+    const dir = path.dirname(filePath)
+    if (!this.createdDirs.has(dir)) {
+      await fs.promises.mkdir(dir, { recursive: true })
+      this.createdDirs.add(dir)
+    }
+
+    // Unique name of temporary file, so concurrent writes of the same key don't overwrite each other's files
+    const tmpPath = `${filePath}.${process.pid}.${++this.writes}.tmp`
+    await fs.promises.writeFile(tmpPath, JSON.stringify({ value, ttl: ttl || undefined }))
+    await fs.promises.rename(tmpPath, filePath)
+    if (this.cache) {
+      this.cache.set(key, { value, ttl: ttl || undefined, expires: ttl ? Date.now() + ttl : Infinity })
+    }
+  }
+
+  /**
+   * Extends lifetime of value by updating modification time of the file. Value is written again only
+   * if it was saved with other TTL
+   *
+   * @param {string} key Key
+   * @param {number} [ttl] Time to live of value in milliseconds
+   * @throws {Error}
+   * @return {Promise<boolean>} `true` if value exists
+   */
+  async touch (key, ttl) {
+    const entry = await this.getEntry(key)
+    if (!entry) {
+      return false
+    }
+
+    if (entry.ttl !== (ttl || undefined)) {
+      await this.set(key, entry.value, ttl)
+      return true
+    }
+
+    const now = new Date()
+    try {
+      await fs.promises.utimes(this.getPath(key), now, now)
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return false
+      }
+      throw err
+    }
+    entry.expires = ttl ? now.getTime() + ttl : Infinity
+    return true
+  }
+
+  /**
+   * Removes value
+   *
+   * @param {string} key Key
+   * @throws {Error}
+   * @return {Promise<boolean>} `true` if value existed
+   */
+  async delete (key) {
+    if (this.cache) {
+      this.cache.delete(key)
+    }
+    try {
+      await fs.promises.unlink(this.getPath(key))
+      return true
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return false
+      }
+      throw err
+    }
+  }
+
+  /**
+   * Returns all stored keys, including keys of expired values which are not removed yet
+   *
+   * @throws {Error}
+   * @return {Promise<string[]>}
+   */
+  async keys () {
+    const files = await this.listFiles()
+    return files.map(file => decodeURIComponent(path.basename(file, FILE_EXTENSION)))
+  }
+
+  /**
+   * Removes expired values from disk
+   *
+   * @throws {Error}
+   * @return {Promise<number>} Count of removed values
+   */
+  async cleanup () {
+    let removed = 0
+    for (const file of await this.listFiles()) {
+      if (isExpired(await this.read(file))) {
+        await this.delete(decodeURIComponent(path.basename(file, FILE_EXTENSION)))
+        removed++
+      }
+    }
+    debug('Removed %d expired values', removed)
+    return removed
+  }
+
+  /**
+   * Stops cleanup timer
+   *
+   * @return {void}
+   */
+  close () {
+    clearInterval(this.cleanupTimer)
+  }
+
+  /**
+   * Returns not expired entry with value from cache or disk, removes expired one
+   *
+   * @private
+   * @param {string} key Key
+   * @throws {Error}
+   * @return {Promise<object|undefined>}
+   */
+  async getEntry (key) {
+    let entry = this.cache ? this.cache.get(key) : undefined
+    if (entry === undefined) {
+      entry = await this.read(this.getPath(key))
+      if (entry !== undefined && this.cache) {
+        this.cache.set(key, entry)
+      }
+    }
+
+    if (isExpired(entry)) {
+      await this.delete(key)
+      return undefined
+    }
+    return entry
+  }
+
+  /**
+   * Reads and parses file, returns `undefined` if file not exists. Expiration time of entry is calculated
+   * from modification time of the file
+   *
+   * @private
+   * @param {string} filePath Path to file
+   * @throws {Error}
+   * @return {Promise<{value: *, ttl: (number|undefined), expires: number}|undefined>}
+   */
+  async read (filePath) {
+    let handle
+    try {
+      handle = await fs.promises.open(filePath, 'r')
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return undefined
+      }
+      throw err
+    }
+
+    try {
+      const { mtimeMs } = await handle.stat()
+      const { value, ttl } = JSON.parse(await handle.readFile('utf-8'))
+      return { value, ttl, expires: ttl ? mtimeMs + ttl : Infinity }
+    } finally {
+      await handle.close()
+    }
+  }
+
+  /**
+   * Returns paths of all stored files
+   *
+   * @private
+   * @throws {Error}
+   * @return {Promise<string[]>}
+   */
+  async listFiles () {
+    const readDir = async (dir) => {
+      try {
+        return await fs.promises.readdir(dir, { withFileTypes: true })
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          return []
+        }
+        throw err
+      }
+    }
+
+    const files = []
+    for (const entry of await readDir(this.dir)) {
+      if (entry.isDirectory() && this.shard) {
+        const shardDir = path.join(this.dir, entry.name)
+        for (const shardEntry of await readDir(shardDir)) {
+          if (shardEntry.isFile() && shardEntry.name.endsWith(FILE_EXTENSION)) {
+            files.push(path.join(shardDir, shardEntry.name))
+          }
+        }
+      } else if (entry.isFile() && entry.name.endsWith(FILE_EXTENSION)) {
+        files.push(path.join(this.dir, entry.name))
+      }
+    }
+    return files
+  }
+}
+
+/**
+ * Checks if TTL of entry is over or its value has `expires` field with timestamp in the past
+ *
+ * @private
+ * @param {object} [entry] Stored entry
+ * @return {boolean}
+ */
+function isExpired (entry) {
+  if (entry === undefined) {
+    return false
+  }
+  const { value, expires } = entry
+  return expires <= Date.now() ||
+    (value != null && typeof value.expires === 'number' && value.expires < Date.now())
+}
+
+module.exports = FileStore
@@ -0,0 +1,229 @@
+/**
+ * @typedef {object} MemoryStoreOptions
+ * @property {number} [ttl] Default time to live of entries in milliseconds. By default, entries never expire
+ * @property {number} [maxSize=Infinity] Maximum count of entries, least recently used entries removed
+ *    when the limit is reached
+ * @property {number} [cleanupInterval] Interval in milliseconds for removing expired entries, see
+ *    {@link MemoryStore#cleanup}. Timer doesn't keep process running. By default, expired entries removed
+ *    only on access or when `maxSize` is reached
+ */
+
+/**
+ * In-memory key-value store with LRU eviction and expiration of entries.
+ * Has [Map](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map)-like interface,
+ * so can be used as session store
+ *
+ * ```js
+ * const store = new MemoryStore({ ttl: 60 * 1000, maxSize: 10000 })
+ * store.set('key', 'value')
+ * store.set('short', 'value', 1000) // Custom TTL for entry
+ * ```
+ */
+class MemoryStore {
+  /**
+   * @param {MemoryStoreOptions} [options] Options
+   */
+  constructor (options = {}) {
+    this.ttl = options.ttl
+    this.maxSize = options.maxSize ?? Infinity
+    this.items = new Map()
+    this.cleanupTimer = undefined
+    if (options.cleanupInterval) {
+      this.cleanupTimer = setInterval(() => this.cleanup(), options.cleanupInterval)
+      this.cleanupTimer.unref()
+    }
+  }
+
+  /**
+   * Store expires entries itself, so {@link Session} passes TTL to `set` and `touch` methods
+   *
+   * @return {boolean}
+   */
+  get supportsTtl () {
+    return true
+  }
+
+  /**
+   * Count of stored entries, including expired entries which are not removed yet
+   *
+   * @return {number}
+   */
+  get size () {
+    return this.items.size
+  }
+
+  /**
+   * Returns value of entry, marks entry as recently used
+   *
+   * @param {string} key Key of entry
+   * @return {*|undefined}
+   */
+  get (key) {
+    const entry = this.getEntry(key)
+    if (!entry) {
+      return undefined
+    }
+
+    this.items.delete(key)
+    this.items.set(key, entry)
+    return entry.value
+  }
+
+  /**
+   * Adds or replaces entry
+   *
+   * @param {string} key Key of entry
+   * @param {*} value Value
+   * @param {number} [ttl] Time to live of entry in milliseconds, overrides default TTL
+   * @return {MemoryStore}
+   */
+  set (key, value, ttl = this.ttl) {
+    this.items.delete(key)
+    this.items.set(key, { value, expires: ttl ? Date.now() + ttl : Infinity })
+
+    while (this.items.size > this.maxSize) {
+      this.items.delete(this.items.keys().next().value)
+    }
+    return this
+  }
+
+  /**
+   * Checks if entry exists and not expired
+   *
+   * @param {string} key Key of entry
+   * @return {boolean}
+   */
+  has (key) {
+    return this.getEntry(key) !== undefined
+  }
+
+  /**
+   * Removes entry
+   *
+   * @param {string} key Key of entry
+   * @return {boolean} `true` if entry existed
+   */
+  delete (key) {
+    return this.items.delete(key)
+  }
+
+  /**
+   * Extends lifetime of entry without changing value
+   *
+   * @param {string} key Key of entry
+   * @param {number} [ttl] Time to live of entry in milliseconds, overrides default TTL
+   * @return {boolean} `true` if entry exists
+   */
+  touch (key, ttl = this.ttl) {
+    const entry = this.getEntry(key)
+    if (!entry) {
+      return false
+    }
+
+    this.set(key, entry.value, ttl)
+    return true
+  }
+
+  /**
+   * Returns keys of not expired entries
+   *
+   * @return {string[]}
+   */
+  keys () {
+    return [...this.items.keys()].filter(key => this.has(key))
+  }
+
+  /**
+   * Returns values of not expired entries
+   *
+   * @return {Array}
+   */
+  values () {
+    return this.entries().map(([, value]) => value)
+  }
+
+  /**
+   * Returns `[key, value]` pairs of not expired entries
+   *
+   * @return {Array[]}
+   */
+  entries () {
+    return [...this.items.keys()]
+      .map(key => [key, this.getEntry(key)])
+      .filter(([, entry]) => entry !== undefined)
+      .map(([key, entry]) => [key, entry.value])
+  }
+
+  /**
+   * Calls function for every not expired entry, like `Map#forEach`
+   *
+   * @param {Function} callback Function called with value, key and store
+   * @param {*} [thisArg] Value used as `this` when calling callback
+   * @return {void}
+   */
+  forEach (callback, thisArg) {
+    this.entries().forEach(([key, value]) => callback.call(thisArg, value, key, this))
+  }
+
+  /**
+   * Iterates over `[key, value]` pairs of not expired entries, like `Map`
+   *
+   * @return {Iterator<Array>}
+   */
+  [Symbol.iterator] () {
+    return this.entries()[Symbol.iterator]()
+  }
+
+  /**
+   * Removes all entries
+   *
+   * @return {void}
+   */
+  clear () {
+    this.items.clear()
+  }
+
+  /**
+   * Removes expired entries
+   *
+   * @return {number} Count of removed entries
+   */
+  cleanup () {
+    const now = Date.now()
+    let removed = 0
+    for (const [key, entry] of this.items) {
+      if (entry.expires <= now) {
+        this.items.delete(key)
+        removed++
+      }
+    }
+    return removed
+  }
+
+  /**
+   * Stops cleanup timer
+   *
+   * @return {void}
+   */
+  close () {
+    clearInterval(this.cleanupTimer)
+  }
+
+  /**
+   * Returns not expired entry, removes expired one
+   *
+   * @private
+   * @param {string} key Key of entry
+   * @return {object|undefined}
+   */
+  getEntry (key) {
+    const entry = this.items.get(key)
+    if (entry && entry.expires <= Date.now()) {
+      this.items.delete(key)
+      return undefined
+    }
+    return entry
+  }
+}
+
+module.exports = MemoryStore
@@ -0,0 +1,50 @@
+const fs = require('fs')
+
+/**
+ * Stores polling offset in file. File is replaced atomically, so offset is not corrupted
+ * if process crashes during writing
+ */
+class FileOffsetStore {
+  /**
+   * @param {string} path Path to file
+   */
+  constructor (path) {
+    this.path = path
+  }
+
+  /**
+   * Returns stored offset or `undefined` if offset not stored yet
+   *
+   * @throws {Error}
+   * @return {Promise<number|undefined>}
+   */
+  async get () {
+    let data
+    try {
+      data = await fs.promises.readFile(this.path, 'utf-8')
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return undefined
+      }
+      throw err
+    }
+
+    const offset = Number(data.trim())
+    return Number.isInteger(offset) ? offset : undefined
+  }
+
+  /**
+   * Saves offset
+   *
+   * @param {number} offset Offset
+   * @throws {Error}
+   * @return {Promise<void>}
+   */
+  async set (offset) {
+    const tmpPath = `${this.path}.${process.pid}.tmp`
+    await fs.promises.writeFile(tmpPath, String(offset))
+    await fs.promises.rename(tmpPath, this.path)
+  }
+}
+
+module.exports = FileOffsetStore
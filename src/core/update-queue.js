@@ -0,0 +1,159 @@
+const debug = require('debug')('opengram:queue')
+
+/**
+ * @typedef {object} UpdateQueueOptions
+ * @property {number} [concurrency=10] Maximum count of updates processed at the same time
+ * @property {number} [maxQueueSize=1000] Maximum count of updates waiting for processing
+ * @property {Function} [onError] Called with error and update when update processing failed
+ * @property {Function} [getKey] Returns key of update, updates with the same key processed sequentially
+ *    in order they were added. If key is `undefined`, update processed without ordering
+ */
+
+/**
+ * Bounded queue of updates processed by limited count of workers.
+ * Updates with different keys processed concurrently, with the same key - one by one
+ *
+ * @private
+ */
+class UpdateQueue {
+  /**
+   * @param {Function} handler Function for processing one update, should return promise
+   * @param {UpdateQueueOptions} [options] Options
+   */
+  constructor (handler, options = {}) {
+    this.handler = handler
+    this.concurrency = options.concurrency ?? 10
+    this.maxQueueSize = options.maxQueueSize ?? 1000
+    this.onError = options.onError || ((err) => console.error('Failed to process update.', err))
+    this.getKey = options.getKey || (() => undefined)
+    this.queue = []
+    this.running = 0
+    this.activeKeys = new Set()
+    this.idleWaiters = []
+    this.spaceWaiters = []
+  }
+
+  /**
+   * Count of updates waiting for processing
+   *
+   * @return {number}
+   */
+  get size () {
+    return this.queue.length
+  }
+
+  /**
+   * Count of updates processing now
+   *
+   * @return {number}
+   */
+  get active () {
+    return this.running
+  }
+
+  /**
+   * Adds update to queue
+   *
+   * @param {object} update Update object
+   * @return {boolean} `false` if queue is full and update was not added
+   */
+  push (update) {
+    if (this.queue.length >= this.maxQueueSize) {
+      debug('Queue is full, update %d rejected', update.update_id)
+      return false
+    }
+    this.queue.push({ update, key: this.getKey(update) })
+    this.next()
+    return true
+  }
+
+  /**
+   * Removes all updates waiting for processing
+   *
+   * @return {object[]} Removed updates
+   */
+  clear () {
+    const removed = this.queue.splice(0).map(({ update }) => update)
+    this.next()
+    if (this.running === 0) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve())
+    }
+    return removed
+  }
+
+  /**
+   * Returns promise resolved when queue has space for new update
+   *
+   * @return {Promise<void>}
+   */
+  waitForSpace () {
+    if (this.queue.length < this.maxQueueSize) {
+      return Promise.resolve()
+    }
+    return new Promise(resolve => this.spaceWaiters.push(resolve))
+  }
+
+  /**
+   * Returns promise resolved when all queued updates processed
+   *
+   * @return {Promise<void>}
+   */
+  onIdle () {
+    if (this.running === 0 && this.queue.length === 0) {
+      return Promise.resolve()
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve))
+  }
+
+  /**
+   * Starts processing of queued updates while workers available
+   *
+   * @private
+   * @return {void}
+   */
+  next () {
+    for (let index = 0; index < this.queue.length && this.running < this.concurrency;) {
+      const { update, key } = this.queue[index]
+      // Update with the same key is processing now, keep order and look for next one
+      if (key !== undefined && this.activeKeys.has(key)) {
+        index++
+        continue
+      }
+      this.queue.splice(index, 1)
+      this.run(update, key)
+    }
+
+    while (this.spaceWaiters.length && this.queue.length < this.maxQueueSize) {
+      this.spaceWaiters.shift()()
+    }
+  }
+
+  /**
+   * Processes one update
+   *
+   * @private
+   * @param {object} update Update object
+   * @param {*} key Update key
+   * @return {void}
+   */
+  run (update, key) {
+    this.running++
+    if (key !== undefined) {
+      this.activeKeys.add(key)
+    }
+
+    Promise.resolve()
+      .then(() => this.handler(update))
+      .catch(err => this.onError(err, update))
+      .then(() => {
+        this.running--
+        this.activeKeys.delete(key)
+        this.next()
+        if (this.running === 0 && this.queue.length === 0) {
+          this.idleWaiters.splice(0).forEach(resolve => resolve())
+        }
+      })
+  }
+}
+
+module.exports = UpdateQueue
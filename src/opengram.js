@@ -9,21 +9,54 @@ const Stage = require('./stage')
 const BaseScene = require('./scenes/base')
 const { OpengramContext: Context } = require('./context')
 const generateCallback = require('./core/network/webhook')
+const webhookAdapters = require('./core/network/adapters')
 const crypto = require('crypto')
-const { URL } = require('url')
-const { TelegramError, isTelegramError } = require('./core/error')
+const path = require('path')
+const {
+  TelegramError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  BotBlockedError,
+  ChatNotFoundError,
+  MessageNotModifiedError,
+  MigrateToChatError,
+  FloodWaitError,
+  isTelegramError
+} = require('./core/error')
 const pTimeout = require('p-timeout')
 const { compactOptions } = require('./core/helpers/compact')
 const WizardScene = require('./scenes/wizard')
+const RateLimiter = require('./core/network/rate-limiter')
+const { MetricsRegistry } = require('./core/metrics')
+const { createHealthHandler } = require('./core/network/health')
+const UpdateQueue = require('./core/update-queue')
+const UpdateDeduplicator = require('./core/deduplicator')
+const KeyedMutex = require('./core/keyed-mutex')
+const MemoryStore = require('./core/stores/memory')
+const FileOffsetStore = require('./core/stores/offset')
+const FileStore = require('./core/stores/file')
+const { showWarning } = require('./core/helpers/utils')
+const UpdateSource = require('./sources/base')
+const PollingSource = require('./sources/polling')
+const WebhookSource = require('./sources/webhook')
+const JsonLinesSource = require('./sources/json-lines')
+const EmitterSource = require('./sources/emitter')
 
 const DEFAULT_OPTIONS = {
   retryAfter: 1,
+  maxRetryAfter: 60,
   handlerTimeout: Infinity,
   contextType: Context
 }
 
 const noop = () => { }
 
+function getUpdateKey (ctx) {
+  if (ctx.chat) return ctx.chat.id
+  return ctx.from && ctx.from.id
+}
+
 /**
  * The main class that implements receiving updates and setting up the bot before starting
  *
@@ -69,9 +102,15 @@ class Opengram extends Composer {
    * @property {boolean} [testEnv=false] Enable / disable test environment for WebApps,
    *    see more [here](https://core.telegram.org/bots/webapps#testing-web-apps)
    * @property {boolean} [webhookReply=true] Enable / disable webhook reply
-   * @property {number} [retryAfter=1] Interval for retrying long-polling requests in seconds
+   * @property {number} [retryAfter=1] Initial interval for retrying long-polling requests in seconds,
+   *    doubled after each failed request
+   * @property {number} [maxRetryAfter=60] Maximum interval for retrying long-polling requests in seconds
    * @property {Infinity|number} handlerTimeout Maximum interval for update processing,
    *    after which throwing `TimeoutError`
+   * @property {boolean|DedupeOptions} [dedupe] Drop updates with `update_id` which are already processed or
+   *    processing now, for example repeated webhook deliveries. Failed updates can be processed again
+   * @property {boolean|MetricsRegistry} [metrics] Collect metrics of updates processing, API calls and session
+   *    stores in {@link MetricsRegistry}, `true` creates new registry. Available as {@link Opengram#metrics}
    */
 
   /**
@@ -85,6 +124,10 @@ class Opengram extends Composer {
       ...DEFAULT_OPTIONS,
       ...compactOptions(options)
     }
+    if (this.options.metrics) {
+      // Registry kept in Telegram options, so it shared with `ctx.telegram` and session middleware
+      this.options.telegram = { ...this.options.telegram, metrics: this.options.metrics }
+    }
     this.token = token
     this.handleError = async err => {
       console.error()
@@ -96,8 +139,17 @@ class Opengram extends Composer {
     this.botInfoCall = undefined
     this.polling = {
       offset: 0,
+      committedOffset: 0,
+      pending: new Set(),
+      offsetSaving: Promise.resolve(),
       started: false
     }
+    this.updateQueues = new Set()
+    this.inFlightUpdates = new Set()
+    this.lastUpdateAt = undefined
+    this.deduplicator = this.options.dedupe
+      ? new UpdateDeduplicator(this.options.dedupe === true ? {} : this.options.dedupe)
+      : undefined
   }
 
   /**
@@ -121,6 +173,15 @@ class Opengram extends Composer {
     return this.telegram.token
   }
 
+  /**
+   * Returns {@link MetricsRegistry} with bot metrics or `null` if `metrics` option disabled
+   *
+   * @return {MetricsRegistry|null}
+   */
+  get metrics () {
+    return this.telegram.metrics
+  }
+
   /**
    * Setter for enabling / disabling for webhook reply. if assigned `true` - webhook reply enabled
    *
@@ -187,10 +248,39 @@ class Opengram extends Composer {
 
   /**
    * @typedef {object} webhookCallbackOptions
-   * @property {string} [path='/'] Path the server should listen to.
-   * @property {string} [secret] A secret token to be sent in a header “X-Telegram-Bot-Api-Secret-Token”
+   * @property {string} [path='/'] Path the server should listen to. Requests to other paths passed to `next`
+   *    handler or rejected with `404 Not Found`
+   * @property {string|string[]} [secret] A secret token to be sent in a header “X-Telegram-Bot-Api-Secret-Token”
    *    in every webhook request, 1-256 characters. Only characters A-Z, a-z, 0-9, _ and - are allowed.
    *    The header is useful to ensure that the request comes from a webhook set by you.
+   *    Pass array to accept several secrets, for example during rotation. Requests with other secret rejected
+   *    with `401 Unauthorized`
+   * @property {boolean|string[]} [ipAllowlist] Accept requests only from given addresses. If `true`, only Telegram
+   *    subnets `149.154.160.0/20` and `91.108.4.0/22` allowed, or you can pass list of subnets in CIDR notation
+   *    and single addresses, for example `['149.154.160.0/20', '10.0.0.1', '2001:db8::/32']`.
+   *    Requests from other addresses rejected with `403 Forbidden`
+   * @property {boolean|number} [trustProxy] Use `X-Forwarded-For` header to determine client address for
+   *    `ipAllowlist` check when server is behind a proxy. If number - address added by the proxy at given count
+   *    of hops before the server used, `true` is the same as `1`: the right-most address of header used
+   * @property {number} [maxBodySize] Maximum request body size in bytes, larger requests rejected with
+   *    `413 Payload Too Large`
+   * @property {'http'|'express'|'koa'|'fastify'|'fetch'} [adapter='http'] Type of returned handler:
+   *    - `http` / `express` - `(req, res, next)` handler for NodeJS `http` module and Express
+   *    - `koa` - `(ctx, next)` Koa middleware
+   *    - `fastify` - `(request, reply)` Fastify route handler
+   *    - `fetch` - `(request) => Promise<Response>` handler, accepting WHATWG `Request` and returning `Response`,
+   *      for serverless-style platforms. Requires Node.js 18 or newer. Socket address is not available for this
+   *      adapter, so `ipAllowlist` works only with `trustProxy`
+   * @property {boolean|backgroundOptions} [background] Respond `200 OK` to Telegram immediately and process
+   *    updates in background by queue workers. Webhook reply is not available in this mode. When the queue is full,
+   *    requests rejected with `503 Service Unavailable`, so Telegram will deliver the update again later.
+   *    Queued updates are processed before {@link Opengram#stop} resolves
+   */
+
+  /**
+   * @typedef {object} backgroundOptions
+   * @property {number} [concurrency=10] Maximum count of updates processed at the same time
+   * @property {number} [maxQueueSize=1000] Maximum count of updates waiting for processing
    */
 
   /**
@@ -198,6 +288,7 @@ class Opengram extends Composer {
    * [Koa](https://koajs.com) / [Express](https://expressjs.com)
    * / [Fastify](https://www.fastify.io)
    * / NodeJS [http](https://nodejs.org/api/http.html) or [https](https://nodejs.org/api/https.html) modules
+   * / fetch-style handlers. Use `adapter` option to choose type of handler.
    *
    * Using example for [express](https://expressjs.com):
    * ```js
@@ -218,14 +309,73 @@ class Opengram extends Composer {
    * app.listen(3000, () => console.log('Bot listening on port 3000!'))
    * ```
    *
+   * Other adapters:
+   * ```js
+   * // Koa
+   * app.use(bot.webhookCallback({ path: '/secret-path', adapter: 'koa' }))
+   *
+   * // Fastify
+   * fastify.post('/secret-path', bot.webhookCallback({ path: '/secret-path', adapter: 'fastify' }))
+   *
+   * // Fetch-style handler
+   * const handler = bot.webhookCallback({ path: '/secret-path', adapter: 'fetch' })
+   * export default { fetch: request => handler(request) }
+   * ```
+   *
    * @param {webhookCallbackOptions} config Options
+   * @throws {Error}
    * @return {Function}
    */
   webhookCallback (config = {}) {
     if (config.path === undefined) config.path = '/'
-    return generateCallback(config, (update, res) => this.handleUpdate(update, res), debug)
+    const adapter = webhookAdapters[config.adapter || 'http']
+    if (!adapter) {
+      throw new Error(`Unknown webhook adapter: ${config.adapter}`)
+    }
+    const updateHandler = config.background
+      ? this.createBackgroundHandler(config.background === true ? {} : config.background)
+      : (update, res) => this.handleUpdate(update, res)
+    return adapter(generateCallback(config, updateHandler, debug))
+  }
+
+  /**
+   * Creates webhook update handler, which responds immediately and adds update to the queue
+   *
+   * @private
+   * @param {backgroundOptions} options Queue options
+   * @return {Function}
+   */
+  createBackgroundHandler (options) {
+    const queue = new UpdateQueue(update => this.handleUpdate(update), options)
+    this.updateQueues.add(queue)
+    return (update, res) => {
+      if (!queue.push(update)) {
+        res.statusCode = 503
+      }
+      res.end()
+    }
   }
 
+  /**
+   * @typedef {object} pollingRunnerOptions
+   * @property {number} [concurrency] Maximum count of updates processed at the same time. If set, updates
+   *    processed in background while next updates are fetched, concurrently across chats, but sequentially
+   *    within a chat
+   * @property {number} [maxQueueSize=1000] Maximum count of fetched updates waiting for processing,
+   *    fetching paused when the queue is full
+   * @property {Function} [getUpdateKey] Function which receives context and returns key of update.
+   *    Updates with the same key processed one by one. By default - chat id or user id if update has no chat
+   * @property {number} [retries=0] How many times failed update processing should be repeated
+   * @property {Function} [onFailedUpdate] Dead letter callback, called with error and update when update processing
+   *    failed after all retries. If not set, error reported to console and update skipped
+   * @property {boolean|object} [offsetStore] Store of offset of processed updates, so polling resumes from the last
+   *    fully processed update after restart. Object with `get()` and `set(offset)` methods, may be asynchronous,
+   *    or `true` for {@link FileOffsetStore} with `.opengram-offset-<bot id>` file in current working directory
+   * @property {Function} [onSkippedUpdates] Called with count of updates and stored offset, when updates between
+   *    stored offset and first received update are not available anymore, for example expired after 24 hours.
+   *    By default, warning is shown
+   */
+
   /**
    * Starts long polling and updates processing with given configuration
    *
@@ -239,28 +389,154 @@ class Opengram extends Composer {
    * @param {Function} [stopCallback] Function called when bot fully stopped.
    *     If you call `bot.stop()` it be rewritten with other function and never called, for using with `bot.stop`,
    *     you can pass `callback` into `bot.stop` argument, for example `bot.stop(() => console.log('Stopped'))`
+   * @param {pollingRunnerOptions} [runnerOptions] Options of concurrent updates processing
    * @return {Opengram}
    */
-  startPolling (timeout = 30, limit = 100, allowedUpdates, stopCallback = noop) {
+  startPolling (timeout = 30, limit = 100, allowedUpdates, stopCallback = noop, runnerOptions = {}) {
+    this.launchPolling(timeout, limit, allowedUpdates, stopCallback, runnerOptions)
+      .catch(err => console.error('Failed to start polling.', err))
+    return this
+  }
+
+  /**
+   * Configures and starts long polling, see {@link Opengram#startPolling}.
+   * Resolves when offset loaded from offset store and first request for updates sent
+   *
+   * @private
+   * @param {number} [timeout=30] Timeout in seconds for long polling
+   * @param {number} [limit=100] Limits the number of updates to be retrieved
+   * @param {Array<string>|string} [allowedUpdates] Array of allowed updates or update name
+   * @param {Function} [stopCallback] Function called when bot fully stopped
+   * @param {pollingRunnerOptions} [runnerOptions] Options of concurrent updates processing
+   * @throws {Error}
+   * @return {Promise<void>}
+   */
+  async launchPolling (timeout = 30, limit = 100, allowedUpdates, stopCallback = noop, runnerOptions = {}) {
     this.polling.timeout = timeout
     this.polling.limit = limit
     this.polling.allowedUpdates = allowedUpdates
       ? Array.isArray(allowedUpdates) ? allowedUpdates : [`${allowedUpdates}`]
       : null
     this.polling.stopCallback = stopCallback
-    if (!this.polling.started) {
-      this.polling.started = true
-      this.fetchUpdates()
+    this.polling.retries = runnerOptions.retries || 0
+    this.polling.onFailedUpdate = runnerOptions.onFailedUpdate
+    this.polling.offsetStore = runnerOptions.offsetStore === true
+      ? new FileOffsetStore(path.resolve(`.opengram-offset-${this.token.split(':')[0]}`))
+      : runnerOptions.offsetStore
+    this.polling.onSkippedUpdates = runnerOptions.onSkippedUpdates ||
+      ((count, offset) => showWarning(`${count} updates after offset ${offset} are not available anymore and skipped`))
+    if (runnerOptions.concurrency && !this.polling.queue) {
+      const keyFn = runnerOptions.getUpdateKey || getUpdateKey
+      const OpengramContext = this.options.contextType
+      this.polling.queue = new UpdateQueue(async update => {
+        await this.handlePollingUpdate(update)
+        // Processing aborted by `stop`, keep update pending, so it will be received again
+        if (this.polling.aborted) {
+          return
+        }
+        this.polling.pending.delete(update.update_id)
+        this.commitOffset()
+      }, {
+        concurrency: runnerOptions.concurrency,
+        maxQueueSize: runnerOptions.maxQueueSize,
+        getKey: update => keyFn(new OpengramContext(update, this.telegram, this.options))
+      })
+      this.updateQueues.add(this.polling.queue)
+    }
+    if (this.polling.started) {
+      return
+    }
+
+    this.polling.started = true
+    this.polling.aborted = false
+    try {
+      await this.loadOffset()
+    } catch (err) {
+      // Polling may be stopped while offset was loading
+      const stopping = !this.polling.started
+      this.polling.started = false
+      stopping && this.polling.stopCallback()
+      throw err
+    }
+    this.fetchUpdates()
+  }
+
+  /**
+   * Loads polling offset from offset store
+   *
+   * @private
+   * @return {Promise<void>}
+   */
+  async loadOffset () {
+    const { offsetStore } = this.polling
+    if (!offsetStore) {
+      return
+    }
+
+    const offset = await Promise.resolve(offsetStore.get())
+    if (offset !== undefined && offset !== null) {
+      debug('Polling resumed from offset %d', offset)
+      this.polling.offset = this.polling.committedOffset = offset
+      this.polling.checkSkipped = true
+    }
+  }
+
+  /**
+   * Reports updates, which were not processed before restart and not available anymore.
+   * Update identifiers increase sequentially, so gap between stored offset and first update means skipped updates
+   *
+   * @private
+   * @param {number} offset Stored offset
+   * @param {object[]} updates First fetched updates
+   * @return {void}
+   */
+  checkSkippedUpdates (offset, updates) {
+    this.polling.checkSkipped = false
+    const skipped = updates.length ? updates[0].update_id - offset : 0
+    if (skipped > 0) {
+      this.polling.onSkippedUpdates(skipped, offset)
+    }
+  }
+
+  /**
+   * Updates offset of fully processed updates, which is the lowest identifier of updates processing now
+   * or offset of fetched updates if there are no such updates. Saves it to offset store
+   *
+   * @private
+   * @return {void}
+   */
+  commitOffset () {
+    const { pending, offset, offsetStore } = this.polling
+    const committed = pending.size ? Math.min(...pending) : offset
+    if (committed <= this.polling.committedOffset) {
+      return
+    }
+
+    this.polling.committedOffset = committed
+    if (offsetStore) {
+      this.polling.offsetSaving = this.polling.offsetSaving
+        .then(() => offsetStore.set(committed))
+        .catch(err => console.error('Failed to save polling offset.', err))
     }
-    return this
   }
 
   /**
    * @typedef {object} startWebhookOptions
    * @property {string} path Path the server should listen to.
-   * @property {string} [secret] A secret token to be sent in a header “X-Telegram-Bot-Api-Secret-Token”
+   * @property {string|string[]} [secret] A secret token to be sent in a header “X-Telegram-Bot-Api-Secret-Token”
    *    in every webhook request, 1-256 characters. Only characters A-Z, a-z, 0-9, _ and - are allowed.
    *    The header is useful to ensure that the request comes from a webhook set by you.
+   * @property {boolean|string[]} [ipAllowlist] Allowed source addresses, see {@link webhookCallbackOptions}
+   * @property {boolean|number} [trustProxy] Trust `X-Forwarded-For` header, see {@link webhookCallbackOptions}
+   * @property {number} [maxBodySize] Maximum request body size in bytes, see {@link webhookCallbackOptions}
+   * @property {boolean|backgroundOptions} [background] Process updates in background, see
+   *    {@link webhookCallbackOptions}
+   * @property {boolean|healthChecksOptions} [healthChecks] Serve `GET /healthz` and `GET /readyz` endpoints,
+   *    responding with JSON state of the bot: whether `botInfo` is loaded, queue size, count of processing updates
+   *    and time of the last successfully processed update. `/readyz` also checks that webhook is registered
+   *    and responds `503 Service Unavailable` if bot is not ready
+   * @property {string} [metricsPath] Path for serving metrics in Prometheus text format, for example `/metrics`.
+   *    Requires `metrics` option of {@link Opengram}
    */
 
   /**
@@ -315,16 +591,32 @@ class Opengram extends Composer {
    *    address (::) when IPv6 is available, or the unspecified IPv4 address (0.0.0.0) otherwise.
    * @param {Function} [nextCb] Next handler function,
    *    called when webhook handler not match path string or request method. May have two arguments - `req`, `res`.
-   *    If not specified, by default connection being closed with HTTP status `Forbidden 403`
+   *    If not specified, by default connection being closed with HTTP status `Not Found 404`
+   * @throws {Error}
    * @see https://core.telegram.org/bots/webhooks
    * @see https://core.telegram.org/bots/api#setwebhook
    * @return {Opengram}
    */
   startWebhook (options, tlsOptions, port, host, nextCb) {
     const webhookCb = this.webhookCallback(options)
-    const callback = nextCb && typeof nextCb === 'function'
+    let callback = nextCb && typeof nextCb === 'function'
       ? (req, res) => webhookCb(req, res, () => nextCb(req, res))
       : webhookCb
+    if (options && options.healthChecks) {
+      const healthCb = createHealthHandler(this, options.healthChecks === true ? {} : options.healthChecks)
+      const webhookHandler = callback
+      callback = (req, res) => healthCb(req, res, () => webhookHandler(req, res))
+    }
+    if (options && options.metricsPath) {
+      if (!this.metrics) {
+        throw new Error('Metrics are disabled, enable them with `metrics` option')
+      }
+      const metricsCb = this.metrics.handler()
+      const handler = callback
+      callback = (req, res) => req.method === 'GET' && req.url.split('?')[0] === options.metricsPath
+        ? metricsCb(req, res)
+        : handler(req, res)
+    }
     this.webhookServer = tlsOptions != null
       ? require('https').createServer(tlsOptions, callback)
       : require('http').createServer(callback)
@@ -334,6 +626,29 @@ class Opengram extends Composer {
     return this
   }
 
+  /**
+   * Changes secret token of webhook started by {@link Opengram#launch}. Previous secret tokens are accepted
+   * during grace period, so updates sent by Telegram before the change are not lost
+   *
+   * ```js
+   * await bot.launch({ webhook: { domain: 'example.com', secret: process.env.WEBHOOK_SECRET } })
+   * const secret = await bot.rotateWebhookSecret()
+   * ```
+   *
+   * @param {string} [secret] New secret token, 1-256 characters, only `A-Z`, `a-z`, `0-9`, `_` and `-` allowed.
+   *    By default, random one generated
+   * @param {object} [options] Options
+   * @param {number} [options.gracePeriod=60000] Time in milliseconds during which previous secrets are accepted
+   * @throws {Error}
+   * @return {Promise<string>} New secret token
+   */
+  async rotateWebhookSecret (secret, options = {}) {
+    if (!(this.updateSource instanceof WebhookSource)) {
+      throw new Error('Webhook is not launched')
+    }
+    return this.updateSource.rotateSecret(secret, options.gracePeriod)
+  }
+
   /**
    * Generate secret token for webhook path
    *
@@ -361,6 +676,18 @@ class Opengram extends Composer {
    * @property {number} [limit=100] Limits the number of updates to be retrieved. Values between 1-100 are accepted.
    *     Defaults to 100.
    * @property {number} [timeout=30] Timeout in seconds for long polling. Defaults to 30
+   * @property {number} [concurrency] Maximum count of updates processed at the same time,
+   *    see {@link pollingRunnerOptions}
+   * @property {number} [maxQueueSize=1000] Maximum count of fetched updates waiting for processing,
+   *    see {@link pollingRunnerOptions}
+   * @property {Function} [getUpdateKey] Function which returns key for sequential processing of updates,
+   *    see {@link pollingRunnerOptions}
+   * @property {number} [retries=0] How many times failed update processing should be repeated,
+   *    see {@link pollingRunnerOptions}
+   * @property {Function} [onFailedUpdate] Dead letter callback for failed updates, see {@link pollingRunnerOptions}
+   * @property {boolean|object} [offsetStore] Store of processed updates offset, see {@link pollingRunnerOptions}
+   * @property {Function} [onSkippedUpdates] Called when stored offset is behind available updates,
+   *    see {@link pollingRunnerOptions}
    */
 
   /**
@@ -371,7 +698,7 @@ class Opengram extends Composer {
    *    in every webhook request, 1-256 characters. Only characters A-Z, a-z, 0-9, _ and - are allowed.
    *    The header is useful to ensure that the request comes from a webhook set by you.
    *
-   *    If not specified, generates an automatic
+   *    If not specified, generates an automatic. Can be changed later by {@link Opengram#rotateWebhookSecret}
    */
 
   /**
@@ -392,6 +719,20 @@ class Opengram extends Composer {
    * @property {number} [maxConnections=40] The maximum allowed number of simultaneous HTTPS connections to the webhook
    *    for update delivery, 1-100. Defaults to 40. Use lower values to limit the load on your bot's server, and higher
    *    values to increase your bot's throughput.
+   * @property {boolean|string[]} [ipAllowlist] Allowed source addresses, see {@link webhookCallbackOptions}
+   * @property {boolean|number} [trustProxy] Trust `X-Forwarded-For` header, see {@link webhookCallbackOptions}
+   * @property {number} [maxBodySize] Maximum request body size in bytes, see {@link webhookCallbackOptions}
+   * @property {boolean|backgroundOptions} [background] Process updates in background, see
+   *    {@link webhookCallbackOptions}
+   * @property {string|Buffer} [certificate] Path to public key certificate or certificate content,
+   *    uploaded to Telegram when you use self-signed certificate
+   * @property {number} [checkInterval] Interval in milliseconds for checking webhook info. If specified, webhook is
+   *    set again when it's changed, and new delivery errors reported to `onWebhookError`
+   * @property {Function} [onWebhookError] Called with `last_error_message` and {@link WebhookInfo} when Telegram
+   *    failed to deliver update to the webhook, requires `checkInterval`
+   * @property {boolean|healthChecksOptions} [healthChecks] Serve health and readiness endpoints,
+   *    see {@link startWebhookOptions}
+   * @property {string} [metricsPath] Path for serving metrics, see {@link startWebhookOptions}
    */
 
   /**
@@ -400,6 +741,8 @@ class Opengram extends Composer {
    *    when bots bot not was started
    * @property {pollingConfig} [polling] Polling configuration
    * @property {webhookConfig} [webhook] Webhook configuration
+   * @property {UpdateSource} [source] Custom source of updates, for example {@link JsonLinesSource}
+   *    or {@link EmitterSource}. If specified, `polling` and `webhook` options are ignored
    * @property {string[]} [allowedUpdates] Array of allowed updates for **webhook**.
    *    For example, specify ["message", "edited_channel_post", "callback_query"] to only receive
    *    updates of these types. Please note that this parameter doesn't affect updates created before the call
@@ -421,83 +764,151 @@ class Opengram extends Composer {
     debug(`Launching @${botInfo.username}`)
     this.options.username = botInfo.username
     this.context.botInfo = botInfo
-    if (!config.webhook) {
-      const { timeout, limit, allowedUpdates, stopCallback } = config.polling || {}
-      await this.telegram.deleteWebhook({ drop_pending_updates: config.dropPendingUpdates })
-      await this.startPolling(timeout, limit, allowedUpdates, stopCallback)
-      debug('Bot started with long-polling')
-      return this
-    }
+    const source = config.source || (config.webhook
+      ? new WebhookSource({
+        ...config.webhook,
+        dropPendingUpdates: config.dropPendingUpdates,
+        allowedUpdates: config.allowedUpdates
+      })
+      : new PollingSource({ ...config.polling, dropPendingUpdates: config.dropPendingUpdates }))
 
-    if (
-      typeof config.webhook.domain !== 'string' &&
-      typeof config.webhook.path !== 'string'
-    ) {
-      throw new Error('Webhook domain or webhook path is required')
+    this.updateSource = source
+    try {
+      await source.start(this)
+    } catch (err) {
+      this.updateSource = undefined
+      throw err
     }
+    return this
+  }
 
-    let domain = config.webhook.domain || ''
+  /**
+   * @typedef {object} stopOptions
+   * @property {number} [timeout] Maximum time in milliseconds to wait for updates processing.
+   *    When time is out, queued updates dropped and `ctx.signal` of processing updates aborted.
+   *    Offset of dropped and aborted polling updates is not confirmed, so they will be received again.
+   *    By default, waits until all updates processed
+   */
 
-    if (domain.startsWith('https://') || domain.startsWith('http://')) {
-      domain = new URL(domain).host
+  /**
+   * Stopping the bot. For webhook, it will close the server, for long polling stop getting updates
+   * and confirm offset of processed updates to Telegram, so they will not be received again.
+   *
+   * Resolves when updates currently processing and updates queued in background modes are processed
+   *
+   * @param {stopOptions|Function} [options] Stop options or callback function
+   * @param {Function} [cb] Callback function, which called when bot fully stopped
+   * @return {Promise<void>}
+   */
+  async stop (options = {}, cb = noop) {
+    if (typeof options === 'function') {
+      cb = options
+      options = {}
     }
 
-    const hookOptions = {}
-    if (!config.webhook.path) {
-      const secret = this.secretPathComponent()
-      hookOptions.path = config.webhook.useSecretPath ? `/opengram/${secret}` : '/opengram'
-      if (!config.webhook.useSecretPath) {
-        hookOptions.secret = config.webhook.secret || secret
-      }
+    debug('Stopping bot...')
+    const polling = this.polling.started
+    if (this.updateSource) {
+      await this.updateSource.stop()
+      this.updateSource = undefined
+    } else if (this.webhookServer) {
+      await this.stopWebhook()
     } else {
-      hookOptions.path = config.webhook.path
+      await this.stopPolling()
     }
-    const { port, host, tlsOptions, cb } = config.webhook
-    this.startWebhook(hookOptions, tlsOptions, port, host, cb)
+    await this.drainUpdates(options.timeout)
 
-    if (!domain) {
-      debug('Bot started with webhook')
-      return this
+    if (polling && this.polling.committedOffset) {
+      await this.telegram.getUpdates(0, 1, this.polling.committedOffset)
+        .catch(err => debug('Failed to confirm updates offset', err.message))
     }
+    await this.polling.offsetSaving
+    cb()
+  }
 
-    const webHookExtra = {
-      drop_pending_updates: config.dropPendingUpdates,
-      allowed_updates: config.allowedUpdates,
-      ip_address: config.webhook.ipAddress,
-      max_connections: config.webhook.maxConnections,
-      secret_token: hookOptions.secret
-    }
-
-    await this.telegram.setWebhook(`https://${domain}${hookOptions.path}`, webHookExtra)
-    debug(`Bot started with webhook @ https://${domain}`)
-
-    return this
+  /**
+   * Closes webhook server
+   *
+   * @private
+   * @return {Promise<void>}
+   */
+  stopWebhook () {
+    return new Promise((resolve, reject) => {
+      if (!this.webhookServer) {
+        return resolve()
+      }
+      this.webhookServer.close((err) => {
+        if (err) reject(err)
+        else resolve()
+      })
+    })
   }
 
   /**
-   * Stopping the bot. For webhook, it will close the server, for long polling stop getting updates
+   * Stops long polling, resolves when request for updates aborted. Batch of fetched updates may still be processing,
+   * see {@link Opengram#drainUpdates}
    *
-   * @param {Function} [cb] Callback function, which called when bot fully stopped
+   * @private
    * @return {Promise<void>}
    */
-  async stop (cb = noop) {
-    debug('Stopping bot...')
-    await new Promise((resolve, reject) => {
-      const done = () => resolve() & cb()
-      if (this.webhookServer) {
-        this.webhookServer.close((err) => {
-          if (err) reject(err)
-          else done()
-        })
-      } else if (!this.polling.started) {
-        done()
-      } else {
-        this.polling.stopCallback = done
-        this.polling.started = false
+  stopPolling () {
+    return new Promise((resolve) => {
+      if (!this.polling.started) {
+        return resolve()
+      }
+      this.polling.stopCallback = resolve
+      this.polling.started = false
+      this.polling.abortController && this.polling.abortController.abort()
+      if (this.polling.batch) {
+        resolve()
       }
     })
   }
 
+  /**
+   * Waits for processing of all updates. When time is out, drops queued updates and aborts processing ones
+   *
+   * @private
+   * @param {number} [timeout=Infinity] Maximum time in milliseconds to wait
+   * @return {Promise<void>}
+   */
+  async drainUpdates (timeout = Infinity) {
+    const drained = Promise.all([
+      this.polling.batch,
+      ...[...this.updateQueues].map(queue => queue.onIdle()),
+      ...[...this.inFlightUpdates].map(({ promise }) => promise.catch(noop))
+    ])
+
+    try {
+      await pTimeout(drained, timeout)
+    } catch (err) {
+      debug('Updates processing not finished in %dms, aborting', timeout)
+      this.polling.aborted = true
+      this.updateQueues.forEach(queue => queue.clear())
+      this.inFlightUpdates.forEach(({ controller }) => controller && controller.abort())
+    }
+  }
+
+  /**
+   * Stops the bot gracefully when process receives one of given signals, see {@link Opengram#stop}
+   *
+   * ```js
+   * bot.launch()
+   * bot.enableGracefulStop(['SIGINT', 'SIGTERM'], { timeout: 10000 })
+   * ```
+   *
+   * @param {string[]} [signals=['SIGINT', 'SIGTERM']] Process signals
+   * @param {stopOptions} [options] Stop options
+   * @return {Opengram}
+   */
+  enableGracefulStop (signals = ['SIGINT', 'SIGTERM'], options) {
+    signals.forEach(signal => process.once(signal, () => {
+      debug('Received %s', signal)
+      this.stop(options).catch(err => console.error('Failed to stop bot.', err))
+    }))
+    return this
+  }
+
   /**
    * Starting processing array of updates
    *
@@ -515,12 +926,36 @@ class Opengram extends Composer {
   /**
    * Starting processing one update
    *
+   * Context of update has `signal` property - `AbortSignal`, which aborted when bot stopping with timeout
+   * and update processing not finished in time. Not available on NodeJS versions without `AbortController`
+   *
    * @param {object} update Update object
    * @param {object} [webhookResponse] Response object for send webhook reply
    * @throws Error
    * @return {Promise}
    */
-  async handleUpdate (update, webhookResponse) {
+  handleUpdate (update, webhookResponse) {
+    const controller = typeof AbortController === 'function' ? new AbortController() : undefined
+    const entry = { controller }
+    entry.promise = this.processUpdate(update, webhookResponse, controller && controller.signal)
+    this.inFlightUpdates.add(entry)
+
+    const done = () => this.inFlightUpdates.delete(entry)
+    entry.promise.then(done, done)
+    return entry.promise
+  }
+
+  /**
+   * Processing one update
+   *
+   * @private
+   * @param {object} update Update object
+   * @param {object} [webhookResponse] Response object for send webhook reply
+   * @param {AbortSignal} [signal] Signal aborted when bot stopped
+   * @throws Error
+   * @return {Promise}
+   */
+  async processUpdate (update, webhookResponse, signal) {
     if (this.context.botInfo === undefined) {
       debug('Update %d is waiting for `botInfo` to be initialized', update.update_id)
       const getBotInfoPromise = this.botInfoCall || (this.botInfoCall = this.telegram.getMe())
@@ -528,23 +963,121 @@ class Opengram extends Composer {
       this.options.username = botInfo.username
       this.context.botInfo = botInfo
     }
+
+    try {
+      if (!this.deduplicator) {
+        return await this.runMiddleware(update, webhookResponse, signal)
+      }
+
+      const key = `${this.context.botInfo.id}:${update.update_id}`
+      return await this.deduplicator.run(key, update, () => this.runMiddleware(update, webhookResponse, signal))
+    } finally {
+      if (webhookResponse && webhookResponse.writableEnded === false) {
+        webhookResponse.end()
+      }
+    }
+  }
+
+  /**
+   * Creates context for update and passes it to middlewares
+   *
+   * @private
+   * @param {object} update Update object
+   * @param {object} [webhookResponse] Response object for send webhook reply
+   * @param {AbortSignal} [signal] Signal aborted when bot stopped
+   * @throws Error
+   * @return {Promise}
+   */
+  async runMiddleware (update, webhookResponse, signal) {
     debug('Processing update', update.update_id)
     const tg = new Telegram(this.token, this.telegram.options, webhookResponse)
     const OpengramContext = this.options.contextType
     const ctx = new OpengramContext(update, tg, this.options)
     Object.assign(ctx, this.context)
+    ctx.signal = signal
+
+    const { metrics } = this
+    const labels = { update_type: ctx.updateType }
+    const endTimer = metrics && metrics
+      .histogram('opengram_update_duration_seconds', 'Duration of updates processing in seconds', ['update_type'])
+      .startTimer(labels)
+    const observe = (status) => {
+      if (!metrics) return
+      endTimer()
+      metrics
+        .counter('opengram_updates_total', 'Count of processed updates', ['update_type', 'status'])
+        .inc({ ...labels, status })
+    }
 
     try {
       await pTimeout(
         this.middleware()(ctx),
         this.options.handlerTimeout
       )
+      this.lastUpdateAt = Date.now()
+      observe('success')
     } catch (err) {
+      observe('error')
       return await this.handleError(err, ctx)
-    } finally {
-      if (webhookResponse && webhookResponse.writableEnded === false) {
-        webhookResponse.end()
+    }
+  }
+
+  /**
+   * Processes update received by long polling. Failed update repeated according to `retries` option,
+   * then passed to `onFailedUpdate` callback or reported and skipped. Never throws
+   *
+   * @private
+   * @param {object} update Update object
+   * @return {Promise<void>}
+   */
+  async handlePollingUpdate (update) {
+    const { retries, onFailedUpdate } = this.polling
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.handleUpdate(update)
+      } catch (err) {
+        // Processing aborted by `stop`, update will be received again
+        if (this.polling.aborted) {
+          return
+        }
+
+        if (attempt < retries) {
+          debug('Update %d processing failed, retrying', update.update_id)
+          continue
+        }
+
+        if (!onFailedUpdate) {
+          console.error(`Failed to process update ${update.update_id}, skipping.`, err)
+          return
+        }
+
+        try {
+          await onFailedUpdate(err, update)
+        } catch (deadLetterErr) {
+          console.error(`Failed to pass update ${update.update_id} to dead letter callback.`, deadLetterErr)
+        }
+        return
+      }
+    }
+  }
+
+  /**
+   * Adds fetched updates to the polling queue, waits when the queue is full
+   *
+   * @private
+   * @param {object[]} updates Array of updates
+   * @return {Promise<void>}
+   */
+  async enqueueUpdates (updates) {
+    for (const update of updates) {
+      await this.polling.queue.waitForSpace()
+      // Polling stopped, rest of updates will be received again
+      if (!this.polling.started) {
+        return
       }
+      this.polling.pending.add(update.update_id)
+      this.polling.queue.push(update)
+      this.polling.offset = update.update_id + 1
     }
   }
 
@@ -564,28 +1097,47 @@ class Opengram extends Composer {
 
     let updates = []
 
+    const controller = typeof AbortController === 'function' ? new AbortController() : undefined
+    this.polling.abortController = controller
+
     try {
-      updates = await this.telegram.getUpdates(timeout, limit, offset, allowedUpdates)
+      updates = await this.telegram.getUpdates(timeout, limit, offset, allowedUpdates, {
+        signal: controller && controller.signal
+      })
+      this.polling.fetchFailures = 0
+      if (this.polling.checkSkipped) {
+        this.checkSkippedUpdates(offset, updates)
+      }
     } catch (err) {
       if (err.code === 401 || err.code === 409) {
         throw err
       }
 
-      const wait = (err.parameters && err.parameters.retry_after) || this.options.retryAfter
+      // Long polling request aborted by `stop`
+      if (!this.polling.started) {
+        return this.fetchUpdates()
+      }
+
+      const { retryAfter, maxRetryAfter } = this.options
+      const failures = this.polling.fetchFailures = (this.polling.fetchFailures || 0) + 1
+      const wait = (err.parameters && err.parameters.retry_after) ||
+        Math.min(maxRetryAfter, retryAfter * 2 ** (failures - 1))
       console.error(`Failed to fetch updates. Waiting: ${wait}s`, err.message)
 
       updates = await new Promise(resolve => setTimeout(resolve, wait * 1000, []))
     }
 
-    try {
-      if (this.polling.started && updates.length) {
-        await this.handleUpdates(updates)
+    if (this.polling.started && updates.length) {
+      this.polling.batch = this.polling.queue
+        ? this.enqueueUpdates(updates)
+        : Promise.all(updates.map(update => this.handlePollingUpdate(update)))
+      await this.polling.batch
+      this.polling.batch = undefined
+
+      if (!this.polling.queue && !this.polling.aborted) {
         this.polling.offset = updates[updates.length - 1].update_id + 1
       }
-    } catch (err) {
-      console.error('Failed to process updates.', err)
-      this.polling.started = false
-      this.polling.offset = 0
+      this.commitOffset()
     }
 
     this.fetchUpdates()
@@ -595,6 +1147,14 @@ class Opengram extends Composer {
 module.exports = Object.assign(Opengram, {
   Context,
   TelegramError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  BotBlockedError,
+  ChatNotFoundError,
+  MessageNotModifiedError,
+  MigrateToChatError,
+  FloodWaitError,
   isTelegramError,
   Composer,
   default: Opengram,
@@ -603,8 +1163,23 @@ module.exports = Object.assign(Opengram, {
   Router,
   Opengram,
   Telegram,
+  RateLimiter,
+  MetricsRegistry,
+  MemoryStore,
+  FileOffsetStore,
+  FileStore,
+  KeyedMutex,
+  UpdateSource,
+  PollingSource,
+  WebhookSource,
+  JsonLinesSource,
+  EmitterSource,
+  Sources: { UpdateSource, PollingSource, WebhookSource, JsonLinesSource, EmitterSource },
   Stage,
   BaseScene,
   Scenes: { BaseScene, WizardScene, Stage },
   session
 })
+
+// Required after exports assigned, because manager module depends on Opengram
+Opengram.BotManager = require('./bot-manager')
@@ -1,4 +1,6 @@
 const { showWarning } = require('./core/helpers/utils')
+const MemoryStore = require('./core/stores/memory')
+const KeyedMutex = require('./core/keyed-mutex')
 const debug = require('debug')('opengram:session')
 
 const storeSym = Symbol('store')
@@ -6,20 +8,78 @@ const ttlSym = Symbol('ttl')
 const propSym = Symbol('property')
 const keyGeneratorFnSym = Symbol('keyGeneratorFn')
 const storeSetMethodSym = Symbol('storeSetMethod')
+const lockSym = Symbol('lock')
+const lockTimeoutSym = Symbol('lockTimeout')
+const lockWarnThresholdSym = Symbol('lockWarnThreshold')
+const lazySym = Symbol('lazy')
 
 const WARN_AFTER_SAVE_TEXT = 'A write/read attempt on the session after it was saved detected! Perhaps the chain of promises has broken.'
 const ERROR_SESSION_KEY_NOT_DEFINED = 'Cannot access session data because this update does not belong to a chat, so the session key not available!'
 
+/**
+ * Checks if changes of value can be tracked by session Proxy: only plain objects and arrays are tracked
+ *
+ * @private
+ * @param {*} value Value
+ * @return {boolean}
+ */
+function isTrackable (value) {
+  if (value === null || typeof value !== 'object') {
+    return false
+  }
+  const proto = Object.getPrototypeOf(value)
+  return Array.isArray(value) || proto === Object.prototype || proto === null
+}
+
 function getSessionKey (ctx) {
   return ctx.from && ctx.chat && `${ctx.from.id}:${ctx.chat.id}`
 }
 
+/**
+ * Calls session store and observes duration of the call, if metrics enabled for bot
+ *
+ * @private
+ * @param {OpengramContext} ctx Update context
+ * @param {string} operation Store method name
+ * @param {Function} fn Function calling store
+ * @return {Promise<*>}
+ */
+async function callStore (ctx, operation, fn) {
+  const metrics = ctx.telegram && ctx.telegram.metrics
+  if (!metrics) {
+    return await fn()
+  }
+
+  const endTimer = metrics
+    .histogram('opengram_session_store_duration_seconds', 'Duration of session store calls in seconds', ['operation'])
+    .startTimer({ operation })
+  try {
+    return await fn()
+  } finally {
+    endTimer()
+  }
+}
+
 /**
  * @typedef {object} SessionOptions
  * @property {Function} [getSessionKey] Function for generating session key.
  * @property {string} [property] Sets session property name in context
  * @property {number} [ttl] Time to live
- * @property {object} [store] Store
+ * @property {object} [store] Store, by default {@link MemoryStore}
+ * @property {number} [maxSize=Infinity] Maximum count of sessions in default store, least recently used sessions
+ *    removed when the limit is reached
+ * @property {number} [cleanupInterval=60000] Interval in milliseconds for removing expired sessions from default
+ *    store, used only with `ttl`
+ * @property {boolean|object} [lock=false] Process updates with the same session key one by one, so concurrent
+ *    updates don't overwrite changes of each other. `true` for in-process {@link KeyedMutex}, or object with
+ *    `acquire(key, timeout)` method returning promise of release function, for example lock based on external
+ *    store shared between processes
+ * @property {number} [lockTimeout=10000] Maximum time in milliseconds for waiting the lock, after which
+ *    `TimeoutError` is thrown
+ * @property {number} [lockWarnThreshold=10] Show warning when given count of updates holding or waiting the lock
+ *    of the same session, requires lock with `pending(key)` method like {@link KeyedMutex}
+ * @property {boolean} [lazy=false] Load session only when it's accessed. In this mode, session property returns
+ *    promise of session object, and session is saved only if it was loaded or assigned
  */
 
 class Session {
@@ -29,11 +89,18 @@ class Session {
    * @param {SessionOptions} [options] Options
    */
   constructor (options = {}) {
-    this[storeSym] = options.store ?? new Map()
+    this[ttlSym] = options.ttl && options.ttl * 1000
+    this[storeSym] = options.store ?? new MemoryStore({
+      maxSize: options.maxSize,
+      cleanupInterval: this[ttlSym] ? options.cleanupInterval ?? 60000 : undefined
+    })
     this[propSym] = options.property ?? 'session'
     this[keyGeneratorFnSym] = options.getSessionKey ?? getSessionKey
-    this[ttlSym] = options.ttl && options.ttl * 1000
     this[storeSetMethodSym] = typeof this[storeSym].put === 'function' ? 'put' : 'set'
+    this[lockSym] = options.lock === true ? new KeyedMutex() : options.lock || null
+    this[lockTimeoutSym] = options.lockTimeout ?? 10000
+    this[lockWarnThresholdSym] = options.lockWarnThreshold ?? 10
+    this[lazySym] = Boolean(options.lazy)
   }
 
   /**
@@ -47,6 +114,17 @@ class Session {
     return this[storeSym]
   }
 
+  /**
+   * Lock getter
+   *
+   * Returns lock used for processing updates of the same session one by one or `null` if locking disabled
+   *
+   * @return {object|null}
+   */
+  get lock () {
+    return this[lockSym]
+  }
+
   /**
    * TTL getter
    *
@@ -69,6 +147,53 @@ class Session {
     this[ttlSym] = seconds
   }
 
+  /**
+   * Moves sessions of the group to the new chat identifier, when group upgraded to a supergroup.
+   * Renames keys in format `<chatId>` and `<userId>:<chatId>`, which are generated by default
+   * session key function, so if you use custom key format, you should migrate sessions yourself.
+   *
+   * Store should support iteration of keys with `keys` method, like
+   * [Map](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map)
+   *
+   * ```js
+   * const sessions = session()
+   * const bot = new Opengram(process.env.BOT_TOKEN, {
+   *   telegram: {
+   *     migrateChats: true,
+   *     onChatMigrate: (oldChatId, newChatId) => sessions.migrateChat(oldChatId, newChatId)
+   *   }
+   * })
+   * bot.use(sessions)
+   * ```
+   *
+   * @param {number|string} oldChatId Identifier of the group
+   * @param {number|string} newChatId Identifier of the new supergroup
+   * @throws {Error}
+   * @return {Promise<number>} Count of moved sessions
+   */
+  async migrateChat (oldChatId, newChatId) {
+    const store = this.store
+    if (typeof store.keys !== 'function') {
+      throw new Error('Session store does not support iteration of keys')
+    }
+
+    const oldSuffix = `:${oldChatId}`
+    const keys = [...await Promise.resolve(store.keys())]
+      .filter(key => key === `${oldChatId}` || key.endsWith(oldSuffix))
+
+    for (const key of keys) {
+      const newKey = key.slice(0, key.length - `${oldChatId}`.length) + newChatId
+      const state = await Promise.resolve(store.get(key))
+      // Stores supporting TTL keep sessions without `expires` field, they get full TTL
+      const ttl = state && state.expires ? Math.max(state.expires - Date.now(), 1) : this.ttl || undefined
+      await Promise.resolve(store[this[storeSetMethodSym]](newKey, state, ttl))
+      await Promise.resolve(store.delete(key))
+      debug('session migrated', key, newKey)
+    }
+
+    return keys.length
+  }
+
   /**
    * Returns session middleware
    *
@@ -78,6 +203,7 @@ class Session {
     const method = this[storeSetMethodSym]
     const propName = this[propSym]
     const getSessionKey = this[keyGeneratorFnSym]
+    const lazy = this[lazySym]
 
     return async (ctx, next) => {
       const key = getSessionKey(ctx)
@@ -95,67 +221,167 @@ class Session {
       }
 
       let afterSave = false
+      let changed = false
+      const proxies = new WeakMap()
+      const targets = new WeakMap()
 
-      const wrapSession = (targetSessionObject) => (
-        new Proxy({ ...targetSessionObject }, {
-          set: (target, prop, value) => {
-            if (afterSave) showWarning(WARN_AFTER_SAVE_TEXT + ` [${propName}.${prop}]`)
-            target[prop] = value
-            return true
-          },
-          get (target, prop) {
-            if (afterSave) showWarning(WARN_AFTER_SAVE_TEXT + ` [${propName}.${prop}]`)
-            return target[prop]
-          },
-          deleteProperty: (target, prop) => {
-            if (afterSave) showWarning(WARN_AFTER_SAVE_TEXT + ` [${propName}.${prop}]`)
-            delete target[prop]
-            return true
-          }
-        })
-      )
+      const warnAfterSave = (prop) => {
+        if (afterSave) showWarning(WARN_AFTER_SAVE_TEXT + ` [${propName}.${String(prop)}]`)
+      }
 
-      const now = Date.now()
+      // Wraps object to Proxy, which marks session as changed on mutation. Nested plain objects and arrays
+      // are wrapped on access, so changes like `ctx.session.user.name = 'foo'` are tracked too
+      const track = (target) => {
+        if (!isTrackable(target)) return target
+        let proxy = proxies.get(target)
+        if (!proxy) {
+          proxy = new Proxy(target, {
+            set: (target, prop, value) => {
+              warnAfterSave(prop)
+              value = targets.get(value) ?? value
+              if (target[prop] !== value || !(prop in target)) {
+                changed = true
+              }
+              target[prop] = value
+              return true
+            },
+            get: (target, prop) => {
+              warnAfterSave(prop)
+              return track(target[prop])
+            },
+            deleteProperty: (target, prop) => {
+              warnAfterSave(prop)
+              if (prop in target) {
+                changed = true
+              }
+              delete target[prop]
+              return true
+            }
+          })
+          proxies.set(target, proxy)
+          targets.set(proxy, target)
+        }
+        return proxy
+      }
+
+      // Replaces proxies inside value with their targets, values copied from session, like
+      // `ctx.session = { ...ctx.session }`, contain proxies bound to this update and should not reach the store
+      const unwrap = (value, seen = new Set()) => {
+        value = targets.get(value) ?? value
+        if (!isTrackable(value) || seen.has(value)) return value
+        seen.add(value)
+        for (const prop of Object.keys(value)) {
+          const unwrapped = unwrap(value[prop], seen)
+          if (unwrapped !== value[prop]) {
+            value[prop] = unwrapped
+          }
+        }
+        return value
+      }
 
-      const state = await Promise.resolve(
-        this.store.get(key)
-      ) || { session: {} }
+      let session
+      let state
+      let now
+      let replaced = false
+      let loading
+      let sessionPromise
+      let release = () => {}
 
-      let { session, expires } = state
+      // Acquires lock and reads session from store, only once per update
+      const load = () => {
+        if (!loading) {
+          loading = (async () => {
+            release = await this.acquireLock(key)
+            now = Date.now()
+            state = await callStore(ctx, 'get', () => this.store.get(key))
+            if (replaced) return
 
-      // Wrap session to Proxy
-      session = wrapSession(session)
+            session = track({ ...(state && state.session) })
+            debug('session snapshot', key, session)
 
-      debug('session snapshot', key, session)
+            if (state && state.expires && state.expires < now) {
+              debug('session expired', key)
+              session = track({})
+              changed = true
+            }
+          })()
+        }
+        return loading.then(() => session)
+      }
 
-      if (expires && expires < now) {
-        debug('session expired', key)
-        session = {}
+      const save = async () => {
+        afterSave = true
+        // Stores declaring TTL support expire sessions themselves, so `expires` field is not used for them
+        const canTouch = Boolean(this.ttl) && this.store.supportsTtl === true && typeof this.store.touch === 'function'
+        if (changed || (canTouch && state && state.expires)) {
+          debug('save session', key, session)
+          const newSession = { ...unwrap(session) } // Bypass proxy
+          // TTL passed to store too, so stores supporting expiration like `MemoryStore` can remove stale sessions
+          await callStore(ctx, method, () => this.store[method](key, {
+            session: newSession,
+            expires: this.ttl && !canTouch ? now + this.ttl : null
+          }, this.ttl))
+          debug('session saved', key)
+        } else if (state && canTouch) {
+          await callStore(ctx, 'touch', () => this.store.touch(key, this.ttl))
+          debug('session touched', key)
+        } else if (state && this.ttl) {
+          await callStore(ctx, method, () => this.store[method](key, { ...state, expires: now + this.ttl }, this.ttl))
+          debug('session expiration updated', key)
+        }
       }
 
       Object.defineProperty(ctx, propName, {
-        get: () => session,
+        get: () => lazy ? sessionPromise || (sessionPromise = load()) : session,
         set: (newSession) => {
-          // Wrap session to Proxy
-          session = wrapSession(newSession)
+          session = track(unwrap({ ...newSession }))
+          sessionPromise = undefined
+          replaced = true
+          changed = true
+          // Lock should be held before saving assigned session, errors are thrown after `next`
+          lazy && load().catch(() => {})
         }
       })
 
-      const result = await next(ctx)
+      try {
+        if (!lazy) {
+          await load()
+        }
 
-      debug('save session', key, session)
-      const newSession = { ...session } // Bypass proxy
-      afterSave = true
-      await Promise.resolve(
-        this.store[method](key, {
-          session: newSession,
-          expires: this.ttl ? now + this.ttl : null
-        })
-      )
-      debug('session saved', key, session)
+        const result = await next(ctx)
+        if (loading) {
+          await loading
+          await save()
+        }
+        return result
+      } finally {
+        if (loading) {
+          // Session may be still loading, when middleware failed before it was awaited
+          await loading.catch(() => {})
+        }
+        await release()
+      }
+    }
+  }
 
-      return result
+  /**
+   * Acquires lock of session key, returns function releasing it. If locking disabled, returns function doing nothing
+   *
+   * @private
+   * @param {string} key Session key
+   * @throws {TimeoutError}
+   * @return {Promise<Function>}
+   */
+  async acquireLock (key) {
+    const lock = this[lockSym]
+    if (!lock) {
+      return () => {}
     }
+
+    if (typeof lock.pending === 'function' && lock.pending(key) >= this[lockWarnThresholdSym]) {
+      showWarning(`${lock.pending(key)} updates are waiting for the lock of session "${key}"`)
+    }
+    return await lock.acquire(key, this[lockTimeoutSym])
   }
 }
 
@@ -203,7 +429,42 @@ class Session {
  * This parameter can set in `ttl` option in **seconds**, expire time of session,
  * by default session time not limited, but if you use in memory store like
  * [Map](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map) or other,
- * session be destroyed after bot restart
+ * session be destroyed after bot restart.
+ *
+ * TTL in milliseconds is passed to store as the third argument of `set`, so
+ * expired sessions of users who never come back are removed from default store every `cleanupInterval`.
+ * Expiration time is also saved in `expires` field of session, unless store declares TTL support
+ * with `supportsTtl` property, like {@link MemoryStore} and {@link FileStore}
+ *
+ * ### Saving
+ * Session saved to store only if it was changed, including changes of nested plain objects and arrays.
+ * Changes inside other objects, like `Date` or `Map`, are not tracked, assign such property again to save it.
+ * When session not changed and `ttl` set, its lifetime is extended with `touch(key, ttl)` method of store,
+ * if store has it and supports TTL, otherwise session saved again with new expiration time
+ *
+ * ### Lazy loading
+ * With `lazy` option session is loaded from store only when handler accesses it, so updates which don't use
+ * session don't make store calls. Session property returns promise in this mode:
+ * ```js
+ * bot.use(session({ lazy: true }))
+ * bot.on('text', async ctx => {
+ *   const session = await ctx.session
+ *   session.counter = (session.counter || 0) + 1
+ * })
+ * ```
+ * Scenes use session synchronously, so they don't work with lazy session
+ *
+ * ### Store
+ * By default, sessions kept in memory by {@link MemoryStore}, count of stored sessions available
+ * as `session.store.size`. Use `maxSize` option to limit memory usage. Store can be any object with `get`, `set` (or `put`) and `delete` methods,
+ * returning values or promises. For keeping sessions between restarts without database, use {@link FileStore}:
+ * ```js
+ * bot.use(
+ *   session({
+ *     store: new FileStore({ dir: './sessions' })
+ *   })
+ * )
+ * ```
  *
  * @param {SessionOptions} [options] Session options
  * @return {Session}
@@ -0,0 +1,52 @@
+/**
+ * Base class of update sources. Source receives updates from somewhere and passes them to the bot.
+ *
+ * For creating your own source, extend this class and override `start` and `stop` methods:
+ * ```js
+ * class BrokerSource extends UpdateSource {
+ *   async start (bot) {
+ *     await super.start(bot)
+ *     this.consumer = await broker.consume('updates', update => this.handleUpdate(update))
+ *   }
+ *
+ *   async stop () {
+ *     await this.consumer.close()
+ *   }
+ * }
+ *
+ * bot.launch({ source: new BrokerSource() })
+ * ```
+ */
+class UpdateSource {
+  /**
+   * Starts receiving updates. Called by {@link Opengram#launch}
+   *
+   * @param {Opengram} bot Bot instance
+   * @return {Promise<void>}
+   */
+  async start (bot) {
+    this.bot = bot
+  }
+
+  /**
+   * Stops receiving updates. Called by {@link Opengram#stop}, updates received before stop
+   * are processed by bot after this method resolved
+   *
+   * @return {Promise<void>}
+   */
+  async stop () {}
+
+  /**
+   * Passes update to the bot. Errors of update processing are reported to console
+   *
+   * @protected
+   * @param {object} update Update object
+   * @return {Promise<void>}
+   */
+  handleUpdate (update) {
+    return this.bot.handleUpdate(update)
+      .catch(err => console.error(`Failed to process update ${update.update_id}.`, err))
+  }
+}
+
+module.exports = UpdateSource
@@ -0,0 +1,48 @@
+const debug = require('debug')('opengram:sources')
+const { EventEmitter } = require('events')
+const UpdateSource = require('./base')
+
+/**
+ * Receives updates from `EventEmitter` events, for example from message broker consumer
+ * in the same process:
+ * ```js
+ * const source = new EmitterSource()
+ * await bot.launch({ source })
+ *
+ * consumer.on('message', message => source.push(JSON.parse(message.content)))
+ * ```
+ */
+class EmitterSource extends UpdateSource {
+  /**
+   * @param {EventEmitter} [emitter] Event emitter, by default new one is created
+   * @param {string} [event='update'] Name of event with update
+   */
+  constructor (emitter = new EventEmitter(), event = 'update') {
+    super()
+    this.emitter = emitter
+    this.event = event
+    this.listener = update => this.handleUpdate(update)
+  }
+
+  async start (bot) {
+    await super.start(bot)
+    this.emitter.on(this.event, this.listener)
+    debug('Bot started with emitter source')
+  }
+
+  async stop () {
+    this.emitter.removeListener(this.event, this.listener)
+  }
+
+  /**
+   * Emits update event
+   *
+   * @param {object} update Update object
+   * @return {void}
+   */
+  push (update) {
+    this.emitter.emit(this.event, update)
+  }
+}
+
+module.exports = EmitterSource
@@ -0,0 +1,89 @@
+const debug = require('debug')('opengram:sources')
+const { once } = require('events')
+const fs = require('fs')
+const readline = require('readline')
+const UpdateSource = require('./base')
+
+/**
+ * @typedef {object} jsonLinesSourceOptions
+ * @property {string} [path] Path to file with updates
+ * @property {stream.Readable} [stream=process.stdin] Readable stream with updates, used if `path` not specified
+ */
+
+/**
+ * Reads updates from [JSON lines](https://jsonlines.org) file or stream, one update per line.
+ * Updates processed one by one in order of lines, invalid lines reported to console and skipped.
+ *
+ * Useful for replaying captured updates locally:
+ * ```js
+ * const source = new JsonLinesSource({ path: 'updates.jsonl' })
+ * await bot.launch({ source })
+ * await source.finished
+ * await bot.stop()
+ * ```
+ */
+class JsonLinesSource extends UpdateSource {
+  /**
+   * @param {jsonLinesSourceOptions} [options] Options
+   */
+  constructor (options = {}) {
+    super()
+    this.options = options
+    /**
+     * Promise resolved when all updates read and processed or source stopped.
+     * Rejected when reading failed, such errors are also reported to console
+     *
+     * @type {Promise<void>}
+     */
+    this.finished = undefined
+  }
+
+  async start (bot) {
+    await super.start(bot)
+    if (this.options.path) {
+      this.input = fs.createReadStream(this.options.path)
+      // Wait until file opened, so errors like missing file are thrown from `bot.launch()`
+      await once(this.input, 'ready')
+    } else {
+      this.input = this.options.stream || process.stdin
+    }
+    this.lines = readline.createInterface({ input: this.input, crlfDelay: Infinity })
+    this.finished = this.read()
+    this.finished.catch(err => console.error('Failed to read updates.', err))
+    debug('Bot started with JSON lines source')
+  }
+
+  /**
+   * Reads updates and passes them to the bot
+   *
+   * @private
+   * @return {Promise<void>}
+   */
+  async read () {
+    for await (const line of this.lines) {
+      if (!line.trim()) {
+        continue
+      }
+
+      let update
+      try {
+        update = JSON.parse(line)
+      } catch (err) {
+        console.error('Failed to parse update.', err.message)
+        continue
+      }
+      await this.handleUpdate(update)
+    }
+  }
+
+  async stop () {
+    this.lines.close()
+    if (this.options.path) {
+      this.input.destroy()
+    }
+    // Read errors already reported
+    await this.finished.catch(() => {})
+  }
+}
+
+module.exports = JsonLinesSource
@@ -0,0 +1,43 @@
+const debug = require('debug')('opengram:sources')
+const UpdateSource = require('./base')
+
+/**
+ * @typedef {pollingConfig} pollingSourceOptions
+ * @property {boolean} [dropPendingUpdates=false] Drop all pending updates before start
+ */
+
+/**
+ * Receives updates using long polling, see {@link Opengram#startPolling}
+ */
+class PollingSource extends UpdateSource {
+  /**
+   * @param {pollingSourceOptions} [options] Polling options
+   */
+  constructor (options = {}) {
+    super()
+    this.options = options
+  }
+
+  async start (bot) {
+    await super.start(bot)
+    const {
+      timeout,
+      limit,
+      allowedUpdates,
+      stopCallback,
+      dropPendingUpdates,
+      ...runnerOptions
+    } = this.options
+
+    await bot.telegram.deleteWebhook({ drop_pending_updates: dropPendingUpdates })
+    // Errors of loading offset from offset store thrown from `bot.launch()`
+    await bot.launchPolling(timeout, limit, allowedUpdates, stopCallback, runnerOptions)
+    debug('Bot started with long-polling')
+  }
+
+  stop () {
+    return this.bot.stopPolling()
+  }
+}
+
+module.exports = PollingSource
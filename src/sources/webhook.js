@@ -0,0 +1,157 @@
+const debug = require('debug')('opengram:sources')
+const crypto = require('crypto')
+const { URL } = require('url')
+const UpdateSource = require('./base')
+const { ensureWebhook, WebhookMonitor } = require('../core/network/webhook-sync')
+
+// Minimal interval between setting webhook again because of requests with wrong secret token
+const SECRET_RESYNC_INTERVAL = 60 * 1000
+const DEFAULT_GRACE_PERIOD = 60 * 1000
+
+/**
+ * @typedef {webhookConfig} webhookSourceOptions
+ * @property {boolean} [dropPendingUpdates=false] Drop all pending updates when setting webhook
+ * @property {string[]} [allowedUpdates] Array of allowed updates
+ */
+
+/**
+ * Starts webhook server and sets webhook, see {@link Opengram#startWebhook}.
+ *
+ * Webhook without secret token is set only if webhook info returned by Telegram differs from configuration.
+ * Telegram doesn't return secret token, so webhook with secret token is always set on start, and set again
+ * when request with wrong secret token received to configured path from address allowed by `ipAllowlist`,
+ * or from Telegram subnets if allowlist is not set
+ */
+class WebhookSource extends UpdateSource {
+  /**
+   * @param {webhookSourceOptions} options Webhook options
+   * @throws {Error}
+   */
+  constructor (options) {
+    super()
+    if (typeof options.domain !== 'string' && typeof options.path !== 'string') {
+      throw new Error('Webhook domain or webhook path is required')
+    }
+    this.options = options
+  }
+
+  async start (bot) {
+    await super.start(bot)
+    const config = this.options
+    let domain = config.domain || ''
+
+    if (domain.startsWith('https://') || domain.startsWith('http://')) {
+      domain = new URL(domain).host
+    }
+
+    const hookOptions = {}
+    if (!config.path) {
+      const secret = bot.secretPathComponent()
+      hookOptions.path = config.useSecretPath ? `/opengram/${secret}` : '/opengram'
+      if (!config.useSecretPath) {
+        hookOptions.secret = config.secret || secret
+      }
+    } else {
+      hookOptions.path = config.path
+      hookOptions.secret = config.secret
+    }
+    hookOptions.ipAllowlist = config.ipAllowlist
+    hookOptions.trustProxy = config.trustProxy
+    hookOptions.maxBodySize = config.maxBodySize
+    hookOptions.background = config.background
+    hookOptions.healthChecks = config.healthChecks
+    hookOptions.metricsPath = config.metricsPath
+    if (domain) {
+      hookOptions.onSecretMismatch = () => this.resyncWebhook()
+    }
+    const { port, host, tlsOptions, cb } = config
+    bot.startWebhook(hookOptions, tlsOptions, port, host, cb)
+    this.hookOptions = hookOptions
+
+    if (!domain) {
+      debug('Bot started with webhook')
+      return
+    }
+
+    this.url = `https://${domain}${hookOptions.path}`
+    this.extra = {
+      drop_pending_updates: config.dropPendingUpdates,
+      allowed_updates: config.allowedUpdates,
+      ip_address: config.ipAddress,
+      max_connections: config.maxConnections,
+      secret_token: hookOptions.secret,
+      certificate: config.certificate && {
+        source: config.certificate,
+        filename: typeof config.certificate === 'string' ? undefined : 'certificate.pem'
+      }
+    }
+
+    await ensureWebhook(bot.telegram, this.url, this.extra)
+    if (config.checkInterval) {
+      this.monitor = new WebhookMonitor(bot.telegram, this.url, this.extra, {
+        interval: config.checkInterval,
+        onError: config.onWebhookError
+      })
+      this.monitor.start()
+    }
+    debug(`Bot started with webhook @ https://${domain}`)
+  }
+
+  stop () {
+    this.monitor && this.monitor.stop()
+    clearTimeout(this.rotationTimer)
+    return this.bot.stopWebhook()
+  }
+
+  /**
+   * Sets webhook with new secret token. Previous secrets are accepted during grace period,
+   * because Telegram may still deliver updates sent before the change
+   *
+   * @param {string} [secret] New secret token, by default random one generated
+   * @param {number} [gracePeriod=60000] Time in milliseconds during which previous secrets are accepted
+   * @throws {Error}
+   * @return {Promise<string>} New secret token
+   */
+  async rotateSecret (secret = crypto.randomBytes(32).toString('hex'), gracePeriod = DEFAULT_GRACE_PERIOD) {
+    if (!this.extra || this.hookOptions.secret === undefined) {
+      throw new Error('Webhook is not set or secret token is not used')
+    }
+
+    const previous = [].concat(this.hookOptions.secret)
+    // Accept new secret before setting webhook, because Telegram starts using it immediately
+    this.hookOptions.secret = [secret, ...previous]
+    try {
+      await this.bot.telegram.setWebhook(this.url, { ...this.extra, drop_pending_updates: undefined, secret_token: secret })
+    } catch (err) {
+      this.hookOptions.secret = previous
+      throw err
+    }
+
+    this.extra.secret_token = secret
+    clearTimeout(this.rotationTimer)
+    this.rotationTimer = setTimeout(() => { this.hookOptions.secret = secret }, gracePeriod)
+    this.rotationTimer.unref()
+    debug('Webhook secret token changed')
+    return secret
+  }
+
+  /**
+   * Sets webhook again, called when request with wrong secret token received
+   *
+   * @private
+   * @return {void}
+   */
+  resyncWebhook () {
+    const now = Date.now()
+    if (!this.extra || now - this.lastResync < SECRET_RESYNC_INTERVAL) {
+      return
+    }
+
+    this.lastResync = now
+    debug('Request with wrong secret token received, setting webhook again')
+    ensureWebhook(this.bot.telegram, this.url, { ...this.extra, drop_pending_updates: undefined }, true)
+      .catch(err => console.error('Failed to set webhook.', err))
+  }
+}
+
+module.exports = WebhookSource
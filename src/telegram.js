@@ -1,6 +1,32 @@
 const replicators = require('./core/replicators')
 const ApiClient = require('./core/network/client')
 const { isAbsolute } = require('path')
+const { pathToFileURL } = require('url')
+const fs = require('fs')
+const stream = require('stream')
+const { promisify } = require('util')
+
+const pipeline = promisify(stream.pipeline)
+
+/**
+ * Creates transform stream which fails when more than `maxSize` bytes passed through it
+ *
+ * @private
+ * @param {number} maxSize Maximum size in bytes
+ * @return {stream.Transform}
+ */
+function createSizeLimiter (maxSize) {
+  let size = 0
+  return new stream.Transform({
+    transform (chunk, encoding, callback) {
+      size += chunk.length
+      if (size > maxSize) {
+        return callback(new Error(`File size exceeds the limit of ${maxSize} bytes`))
+      }
+      callback(null, chunk)
+    }
+  })
+}
 
 /**
  * Class which implements sugar for direct Telegram Bots API calls
@@ -57,11 +83,7 @@ class Telegram extends ApiClient {
 
     // Local bot API instances return the absolute path to the file
     if (fileId.file_path !== undefined && isAbsolute(fileId.file_path)) {
-      const url = new URL(this.options.apiRoot)
-      url.port = ''
-      url.pathname = fileId.file_path
-      url.protocol = 'file:'
-      return url
+      return pathToFileURL(fileId.file_path)
     }
 
     return new URL(
@@ -70,6 +92,76 @@ class Telegram extends ApiClient {
     )
   }
 
+  /**
+   * @typedef {object} downloadFileOptions
+   * @property {string|stream.Writable} [to] Path of file or writable stream to save file to.
+   *    If specified, promise resolves with given value when file fully written
+   * @property {boolean} [stream=false] If `true`, resolves with readable stream of file content instead of `Buffer`
+   * @property {number} [maxSize] Maximum allowed file size in bytes. Checked before downloading when
+   *    {@link File} has `file_size` and while downloading
+   * @property {AbortSignal} [signal] Optional `AbortSignal` to cancel download
+   */
+
+  /**
+   * Downloads file by `fileId` or {@link File} object.
+   *
+   * By default, resolves with `Buffer` of file content. Use `to` option to write file to disk or
+   * into stream without buffering, or `stream` option to get readable stream.
+   * When local Bot API server used, file read directly from disk.
+   *
+   * ```js
+   * // Buffer
+   * const buffer = await bot.telegram.downloadFile(fileId)
+   *
+   * // Save to disk
+   * await bot.telegram.downloadFile(fileId, { to: './photo.jpg' })
+   *
+   * // Readable stream
+   * const stream = await bot.telegram.downloadFile(fileId, { stream: true, maxSize: 1024 * 1024 })
+   * ```
+   *
+   * @see https://core.telegram.org/bots/api#getfile
+   * @param {string|File} fileId File identifier or {@link File} object
+   * @param {downloadFileOptions} [options] Download options
+   * @throws {TelegramError}
+   * @throws {Error}
+   * @return {Promise<Buffer|stream.Readable|stream.Writable|string>}
+   */
+  async downloadFile (fileId, options = {}) {
+    let file = fileId
+    if (typeof file === 'string') {
+      file = await this.getFile(file)
+    } else if (file.file_path === undefined) {
+      file = await this.getFile(file.file_id)
+    }
+
+    const { to, maxSize, signal } = options
+    if (maxSize !== undefined && file.file_size > maxSize) {
+      throw new Error(`File size exceeds the limit of ${maxSize} bytes`)
+    }
+
+    let source = await this.download(await this.getFileLink(file), signal)
+    if (maxSize !== undefined) {
+      // Errors are propagated to returned stream by pipeline, so callback is not needed
+      source = stream.pipeline(source, createSizeLimiter(maxSize), () => {})
+    }
+
+    if (options.stream) {
+      return source
+    }
+
+    if (to !== undefined) {
+      await pipeline(source, typeof to === 'string' ? fs.createWriteStream(to) : to)
+      return to
+    }
+
+    const chunks = []
+    for await (const chunk of source) {
+      chunks.push(chunk)
+    }
+    return Buffer.concat(chunks)
+  }
+
   /**
    * Use this method to receive incoming updates using long polling
    * ([wiki](https://en.wikipedia.org/wiki/Push_technology#Long_polling)).
@@ -94,14 +186,17 @@ class Telegram extends ApiClient {
    *     If not specified, the previous setting will be used.
    *
    *     Please note that this parameter doesn't affect updates created before
+   * @param {callApiExtra} [extra] Extra parameters of API call, for example `signal` to abort long polling request
    * @throws {TelegramError}
    * @return {Promise<Update[]>}
    */
-  getUpdates (timeout, limit, offset, allowedUpdates) {
-    const url = `getUpdates?offset=${offset}&limit=${limit}&timeout=${timeout}`
-    return this.callApi(url, {
+  getUpdates (timeout, limit, offset, allowedUpdates, extra) {
+    return this.callApi('getUpdates', {
+      offset,
+      limit,
+      timeout,
       allowed_updates: allowedUpdates
-    })
+    }, extra)
   }
 
   /**
@@ -2825,4 +2825,25 @@
  * @property {boolean} [testEnv=false] Enable / disable test environment for WebApps,
  *    see more [here](https://core.telegram.org/bots/webapps#testing-web-apps)
  * @property {boolean} [webhookReply=true] Enable / disable webhook reply
+ * @property {boolean|RetryOptions} [retry=false] Retry policy for failed API calls. When enabled, `429`, `5xx` and
+ *    network errors are retried inside {@link ApiClient#callApi}, `true` enables default policy
+ * @property {boolean|RateLimiterOptions|RateLimiter} [rateLimit=false] Queue outgoing calls and enforce Telegram
+ *    per-chat and global limits, see {@link RateLimiter}
+ * @property {InterceptorFn[]} [interceptors] Interceptors for all API calls, see {@link ApiClient#use}
+ * @property {boolean} [migrateChats=false] If `true`, calls failed because group was upgraded to a supergroup are
+ *    repeated with new `chat_id`. Calls with stream attachments can't be repeated, for them error is thrown after
+ *    `onChatMigrate` hook called
+ * @property {chatMigrateHook} [onChatMigrate] Hook called when call failed because group was upgraded to
+ *    a supergroup, can be used to update chat identifiers stored by application, for example
+ *    with {@link Session#migrateChat}
+ * @property {boolean|MetricsRegistry} [metrics=false] Collect count, latency and errors of API calls
+ *    in {@link MetricsRegistry}, `true` creates new registry
+ */
+
+/**
+ * @callback chatMigrateHook
+ * @param {number|string} oldChatId Identifier of the group
+ * @param {number} newChatId Identifier of the new supergroup
+ * @param {string} method Name of failed API method
+ * @return {Promise<void>|void}
  */
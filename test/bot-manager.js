@@ -0,0 +1,119 @@
+const test = require('ava')
+const http = require('http')
+const { Readable } = require('stream')
+const { BotManager, Composer } = require('../')
+
+const message = text => ({ update_id: 1, message: { message_id: 1, chat: { id: 1, type: 'private' }, text } })
+
+function request (url, headers, update) {
+  return Object.assign(Readable.from([Buffer.from(JSON.stringify(update))]), { url, method: 'POST', headers })
+}
+
+function response () {
+  return { statusCode: 200, writableEnded: false, setHeader () {}, end () { this.writableEnded = true } }
+}
+
+function createManager (tokens, options) {
+  const replies = []
+  const composer = new Composer()
+  composer.on('text', ctx => replies.push(`${ctx.me}: ${ctx.message.text}`))
+  const manager = new BotManager(composer, tokens, options)
+  manager.bots.forEach(bot => {
+    const id = Number(bot.token.split(':')[0])
+    bot.telegram.getMe = async () => ({ id, is_bot: true, first_name: 'Bot', username: `bot${id}` })
+  })
+  return { manager, replies }
+}
+
+test('should route webhook requests to bots by path', async t => {
+  const { manager, replies } = createManager(['1:first', { token: '2:second', options: { handlerTimeout: 1000 } }])
+  await manager.launch({ webhook: { host: '127.0.0.1' } })
+  const handler = manager.webhookCallback()
+  const [first, second] = manager.bots
+  const secretHeader = bot => ({ 'x-telegram-bot-api-secret-token': bot.secretPathComponent() })
+
+  await handler(request('/opengram/2', secretHeader(second), message('hi')), response())
+  await handler(request('/opengram/1', secretHeader(first), message('hello')), response())
+  const wrongSecret = response()
+  await handler(request('/opengram/1', secretHeader(second), message('hello')), wrongSecret)
+  const unknown = response()
+  await handler(request('/opengram/3', {}, message('hello')), unknown)
+  await manager.stop()
+
+  t.deepEqual(replies, ['bot2: hi', 'bot1: hello'])
+  t.is(wrongSecret.statusCode, 401)
+  t.is(unknown.statusCode, 404)
+  t.is(second.options.handlerTimeout, 1000)
+  t.deepEqual(manager.botInfo('1:first'), { id: 1, is_bot: true, first_name: 'Bot', username: 'bot1' })
+})
+
+test('should route webhook requests to bots by secret token', async t => {
+  const { manager, replies } = createManager(['1:first', '2:second'], { routeBy: 'secret', path: '/hook' })
+  await manager.launch({ webhook: { host: '127.0.0.1' } })
+  const handler = manager.webhookCallback()
+  const secret = manager.get(2).secretPathComponent()
+
+  await handler(request('/hook', { 'x-telegram-bot-api-secret-token': secret }, message('secret')), response())
+  const wrongPath = response()
+  await handler(request('/hook/2', { 'x-telegram-bot-api-secret-token': secret }, message('path')), wrongPath)
+  await manager.stop()
+
+  t.deepEqual(replies, ['bot2: secret'])
+  t.is(wrongPath.statusCode, 404)
+})
+
+test('should set webhooks of bots with secret tokens on launch', async t => {
+  const { manager } = createManager(['1:first'])
+  const [bot] = manager.bots
+  const calls = []
+  bot.telegram.getWebhookInfo = async () => ({ url: 'https://example.com/opengram/1', has_custom_certificate: false })
+  bot.telegram.setWebhook = async (url, extra) => calls.push([url, extra.secret_token])
+  await manager.launch({ webhook: { domain: 'example.com', host: '127.0.0.1' } })
+  await manager.stop()
+
+  t.deepEqual(calls, [['https://example.com/opengram/1', bot.secretPathComponent()]])
+})
+
+test('should close webhook server when bot failed to start', async t => {
+  const free = http.createServer()
+  await new Promise(resolve => free.listen(0, '127.0.0.1', resolve))
+  const { port } = free.address()
+  await new Promise(resolve => free.close(resolve))
+
+  const { manager } = createManager(['1:first', '2:second'])
+  manager.get(2).telegram.getMe = async () => { throw new Error('Unauthorized') }
+  await t.throwsAsync(manager.launch({ webhook: { port, host: '127.0.0.1' } }), { message: 'Unauthorized' })
+  t.is(manager.webhookServer, undefined)
+  t.is(manager.launchConfig, undefined)
+
+  // Port is free again
+  const server = http.createServer()
+  await new Promise((resolve, reject) => server.once('error', reject).listen(port, '127.0.0.1', resolve))
+  await new Promise(resolve => server.close(resolve))
+})
+
+test('should add and remove bots at runtime', async t => {
+  const calls = []
+  const server = http.createServer((req, res) => {
+    calls.push(req.url.split('/').pop())
+    res.setHeader('content-type', 'application/json')
+    res.end(JSON.stringify({ ok: true, result: { id: 3, is_bot: true, first_name: 'Bot', username: 'bot3' } }))
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const apiRoot = `http://127.0.0.1:${server.address().port}`
+
+  const { manager } = createManager(['1:first'])
+  await manager.launch({ webhook: { host: '127.0.0.1' } })
+  const bot = await manager.add({ token: '3:third', options: { telegram: { apiRoot } } })
+  t.is(manager.get(3), bot)
+  t.is(manager.botInfo(3).username, 'bot3')
+  await t.throwsAsync(manager.add('3:third'), { message: 'Bot 3 already added' })
+
+  t.true(await manager.remove(3))
+  t.false(await manager.remove(3))
+  t.is(manager.get(3), undefined)
+  t.deepEqual(calls, ['getMe', 'deleteWebhook'])
+
+  await manager.stop()
+  server.close()
+})
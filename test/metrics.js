@@ -0,0 +1,103 @@
+const test = require('ava')
+const http = require('http')
+const { Opengram, MetricsRegistry, session } = require('../')
+const { createBot, createApiServer } = require('./utils')
+
+test('should expose metrics in Prometheus text format', t => {
+  const registry = new MetricsRegistry()
+  const counter = registry.counter('requests_total', 'Count of requests', ['path'])
+  counter.inc({ path: '/a' })
+  counter.inc({ path: '/a"\n' }, 2)
+  registry.gauge('queue_size', 'Queue size').set({}, 5)
+  const histogram = registry.histogram('duration_seconds', 'Duration', [], [0.1, 1])
+  histogram.observe({}, 0.05)
+  histogram.observe({}, 0.5)
+  histogram.observe({}, 3)
+
+  t.is(registry.counter('requests_total', 'Count of requests', ['path']), counter)
+  t.throws(() => registry.gauge('requests_total', 'Count of requests'), { instanceOf: TypeError })
+  t.throws(() => counter.inc({}, -1), { instanceOf: RangeError })
+  t.is(registry.metrics(), [
+    '# HELP requests_total Count of requests',
+    '# TYPE requests_total counter',
+    'requests_total{path="/a"} 1',
+    'requests_total{path="/a\\"\\n"} 2',
+    '# HELP queue_size Queue size',
+    '# TYPE queue_size gauge',
+    'queue_size 5',
+    '# HELP duration_seconds Duration',
+    '# TYPE duration_seconds histogram',
+    'duration_seconds_bucket{le="0.1"} 1',
+    'duration_seconds_bucket{le="1"} 2',
+    'duration_seconds_bucket{le="+Inf"} 3',
+    'duration_seconds_sum 3.55',
+    'duration_seconds_count 3',
+    ''
+  ].join('\n'))
+
+  registry.reset()
+  t.is(counter.get({ path: '/a' }), 0)
+})
+
+test('should collect metrics of updates, API calls and session store', async t => {
+  const api = await createApiServer((method) => method === 'sendMessage'
+    ? { ok: true, result: {} }
+    : { status: 403, ok: false, error_code: 403, description: 'Forbidden: bot was blocked by the user' }
+  )
+  t.teardown(api.close)
+  const bot = createBot('123:token', { metrics: true, telegram: { apiRoot: api.apiRoot, webhookReply: false } })
+  t.true(bot.metrics instanceof MetricsRegistry)
+  bot.catch(() => {})
+  bot.use(session())
+  bot.on('text', async ctx => {
+    ctx.session.count = 1
+    await ctx.reply('ok')
+  })
+  bot.on('callback_query', ctx => ctx.telegram.sendChatAction(1, 'typing'))
+
+  await bot.handleUpdate({ message: { chat: { id: 1 }, from: { id: 1 }, text: 'foo' } })
+  await bot.handleUpdate({ callback_query: { id: '1', from: { id: 1 } } })
+
+  const { metrics } = bot
+  t.is(metrics.get('opengram_updates_total').get({ update_type: 'message', status: 'success' }), 1)
+  t.is(metrics.get('opengram_updates_total').get({ update_type: 'callback_query', status: 'error' }), 1)
+  t.is(metrics.get('opengram_update_duration_seconds').get({ update_type: 'message' }).count, 1)
+  t.is(metrics.get('opengram_api_calls_total').get({ method: 'sendMessage' }), 1)
+  t.is(metrics.get('opengram_api_errors_total').get({ method: 'sendChatAction', error_code: '403' }), 1)
+  t.is(metrics.get('opengram_api_errors_total').get({ method: 'sendMessage', error_code: '403' }), 0)
+  t.is(metrics.get('opengram_api_call_duration_seconds').get({ method: 'sendMessage' }).count, 1)
+  t.is(metrics.get('opengram_session_store_duration_seconds').get({ operation: 'get' }).count, 1)
+  t.is(metrics.get('opengram_session_store_duration_seconds').get({ operation: 'set' }).count, 1)
+  t.regex(metrics.metrics(), /^opengram_api_calls_total\{method="sendMessage"\} 1$/m)
+})
+
+test('should not collect metrics by default', t => {
+  const bot = createBot('123:token')
+  t.is(bot.metrics, null)
+  t.throws(() => bot.startWebhook({ metricsPath: '/metrics' }), { message: /Metrics are disabled/ })
+})
+
+test('should serve metrics on webhook server', async t => {
+  const registry = new MetricsRegistry()
+  const bot = createBot('123:token', { metrics: registry })
+  t.is(bot.metrics, registry)
+  registry.counter('custom_total', 'Custom counter').inc()
+  bot.startWebhook({ path: '/hook', metricsPath: '/metrics' }, null, 0, '127.0.0.1')
+  await new Promise(resolve => bot.webhookServer.once('listening', resolve))
+  t.teardown(() => bot.webhookServer.close())
+
+  const { port } = bot.webhookServer.address()
+  const res = await new Promise(resolve => http.get({ port, host: '127.0.0.1', path: '/metrics' }, resolve))
+  let body = ''
+  for await (const chunk of res) body += chunk
+  t.is(res.statusCode, 200)
+  t.is(res.headers['content-type'], MetricsRegistry.contentType)
+  t.regex(body, /^custom_total 1$/m)
+})
+
+test('should share registry between bots', t => {
+  const registry = new MetricsRegistry()
+  const first = new Opengram('1:token', { metrics: registry })
+  const second = new Opengram('2:token', { metrics: registry })
+  t.is(first.metrics, second.metrics)
+})
@@ -1,4 +1,5 @@
 const test = require('ava')
+const { Readable } = require('stream')
 const Opengram = require('../')
 const { createBot } = require('./utils')
 const { session } = Opengram
@@ -383,6 +384,224 @@ test('should store session state with custom store', t => {
     .then(() => bot.handleUpdate({ message: { ...BaseTextMessage, from: { id: 42 }, chat: { id: 42 }, text: 'calc' } }))
 })
 
+test('should remove expired sessions from default store', async t => {
+  const sessions = session({ ttl: 0.2, cleanupInterval: 50, maxSize: 2 })
+  t.teardown(() => sessions.store.close())
+  const bot = createBot()
+  bot.use(sessions)
+  bot.on('message', ctx => {
+    ctx.session.foo = 1
+  })
+  for (const id of [1, 2, 3]) {
+    await bot.handleUpdate({ message: { ...BaseTextMessage, from: { id }, chat: { id } } })
+  }
+  t.deepEqual(sessions.store.keys(), ['2:2', '3:3'])
+  await new Promise(resolve => setTimeout(resolve, 400))
+  t.is(sessions.store.size, 0)
+})
+
+test('should process updates of the same session one by one with lock', async t => {
+  const sessions = session({ lock: true })
+  const bot = createBot()
+  bot.use(sessions)
+  bot.on('message', async ctx => {
+    const counter = ctx.session.counter || 0
+    await new Promise(resolve => setTimeout(resolve, 10))
+    ctx.session.counter = counter + 1
+  })
+  const update = { message: { ...BaseTextMessage, from: { id: 1 }, chat: { id: 1 } } }
+  await Promise.all([bot.handleUpdate(update), bot.handleUpdate(update), bot.handleUpdate(update)])
+  t.is(sessions.store.get('1:1').session.counter, 3)
+  t.is(sessions.lock.size, 0)
+})
+
+test('should throw error when session lock not acquired in time', async t => {
+  const mutex = new Opengram.KeyedMutex()
+  const release = await mutex.acquire('1:1')
+  const warnings = []
+  const onWarning = warning => warnings.push(warning.message)
+  process.on('warning', onWarning)
+  t.teardown(() => process.off('warning', onWarning))
+
+  const bot = createBot()
+  bot.catch(err => { throw err })
+  bot.use(session({ lock: mutex, lockTimeout: 10, lockWarnThreshold: 1 }))
+  const update = { message: { ...BaseTextMessage, from: { id: 1 }, chat: { id: 1 } } }
+  await t.throwsAsync(bot.handleUpdate(update), { name: 'TimeoutError' })
+  t.is(mutex.pending('1:1'), 1)
+  release()
+  t.is(mutex.pending('1:1'), 0)
+  await new Promise(resolve => setImmediate(resolve))
+  t.true(warnings.some(message => message.includes('waiting for the lock of session "1:1"')))
+})
+
+test('should save session only when it changed', async t => {
+  const calls = []
+  const data = new Map([['1:1', { session: { user: { name: 'foo' }, tags: [] } }]])
+  const bot = createBot()
+  bot.use(session({
+    store: {
+      get: key => data.get(key),
+      set: (key, value) => {
+        calls.push('set')
+        data.set(key, value)
+      }
+    }
+  }))
+  bot.hears('read', ctx => {
+    t.is(ctx.session.user.name, 'foo')
+    ctx.session.user.name = 'foo'
+  })
+  bot.hears('nested', ctx => {
+    ctx.session.user.name = 'bar'
+  })
+  bot.hears('push', ctx => {
+    ctx.session.tags.push('tag')
+  })
+  const message = text => ({ message: { ...BaseTextMessage, from: { id: 1 }, chat: { id: 1 }, text } })
+  await bot.handleUpdate(message('read'))
+  await bot.handleUpdate(message('other'))
+  t.deepEqual(calls, [])
+  await bot.handleUpdate(message('nested'))
+  await bot.handleUpdate(message('push'))
+  t.deepEqual(calls, ['set', 'set'])
+  t.deepEqual(data.get('1:1'), { session: { user: { name: 'bar' }, tags: ['tag'] }, expires: null })
+})
+
+test('should not keep proxies of copied session in store', async t => {
+  const util = require('util')
+  const warnings = []
+  const onWarning = warning => warning.message.includes('after it was saved') && warnings.push(warning.message)
+  process.on('warning', onWarning)
+  t.teardown(() => process.off('warning', onWarning))
+
+  const sessions = session()
+  const bot = createBot()
+  bot.use(sessions)
+  bot.on('message', ctx => {
+    ctx.session = { ...ctx.session, user: { ...ctx.session.user }, tags: ctx.session.tags || [], n: ctx.session.n || 0 }
+    ctx.session.tags.push(ctx.session.n++)
+  })
+  const update = { message: { ...BaseTextMessage, from: { id: 1 }, chat: { id: 1 } } }
+  for (let i = 0; i < 5; i++) {
+    await bot.handleUpdate(update)
+  }
+  await new Promise(resolve => setImmediate(resolve))
+
+  const { session: state } = sessions.store.get('1:1')
+  t.false(util.types.isProxy(state.user))
+  t.false(util.types.isProxy(state.tags))
+  t.deepEqual(state, { user: {}, tags: [0, 1, 2, 3, 4], n: 5 })
+  t.deepEqual(warnings, [])
+})
+
+test('should refresh session TTL with touch when session not changed', async t => {
+  const calls = []
+  const data = new Map([['1:1', { session: { foo: 1 } }], ['2:2', { session: { foo: 2 }, expires: Date.now() + 1000 }]])
+  const store = {
+    get: key => data.get(key),
+    set: (key, value, ttl) => {
+      calls.push(['set', key, ttl])
+      data.set(key, value)
+    }
+  }
+  const bot = createBot()
+  bot.use(session({ store, ttl: 60 }))
+  bot.on('message', ctx => ctx.session.foo)
+  const message = id => ({ message: { ...BaseTextMessage, from: { id }, chat: { id } } })
+
+  await bot.handleUpdate(message(2))
+  t.deepEqual(calls, [['set', '2:2', 60000]])
+  t.true(data.get('2:2').expires > Date.now() + 50000)
+
+  // Store doesn't declare TTL support, so `touch` may ignore TTL
+  store.touch = (key, ttl) => calls.push(['touch', key, ttl])
+  await bot.handleUpdate(message(1))
+  t.deepEqual(calls.slice(1), [['set', '1:1', 60000]])
+  t.true(data.get('1:1').expires > Date.now() + 50000)
+
+  store.supportsTtl = true
+  await bot.handleUpdate(message(1))
+  await bot.handleUpdate(message(1))
+  await bot.handleUpdate(message(2))
+  await bot.handleUpdate(message(3))
+  t.deepEqual(calls.slice(2), [['set', '1:1', 60000], ['touch', '1:1', 60000], ['set', '2:2', 60000]])
+  t.is(data.get('1:1').expires, null)
+  t.is(data.get('2:2').expires, null)
+})
+
+test('should load session lazily', async t => {
+  const calls = []
+  const data = new Map([['1:1', { session: { counter: 1 } }]])
+  const sessions = session({
+    lazy: true,
+    lock: true,
+    store: {
+      get: async key => {
+        calls.push(['get', key])
+        return data.get(key)
+      },
+      set: async (key, value) => {
+        calls.push(['set', key])
+        data.set(key, value)
+      }
+    }
+  })
+  const bot = createBot()
+  bot.use(sessions)
+  bot.hears('count', async ctx => {
+    t.is(ctx.session, ctx.session)
+    const session = await ctx.session
+    session.counter++
+  })
+  bot.hears('reset', ctx => {
+    ctx.session = { counter: 0 }
+  })
+  const message = (id, text) => ({ message: { ...BaseTextMessage, from: { id }, chat: { id }, text } })
+
+  await bot.handleUpdate(message(1, 'other'))
+  t.deepEqual(calls, [])
+  await bot.handleUpdate(message(1, 'count'))
+  t.deepEqual(calls, [['get', '1:1'], ['set', '1:1']])
+  t.is(data.get('1:1').session.counter, 2)
+  await bot.handleUpdate(message(2, 'reset'))
+  t.deepEqual(data.get('2:2').session, { counter: 0 })
+  t.is(sessions.lock.size, 0)
+})
+
+test('should migrate sessions to new chat identifier', async t => {
+  const sessions = session()
+  sessions.store.set('1:-1', { session: { foo: 1 } })
+  sessions.store.set('2:-1', { session: { foo: 2 } })
+  sessions.store.set('1:-10', { session: { foo: 3 } })
+  t.is(await sessions.migrateChat(-1, -1001), 2)
+  t.deepEqual([...sessions.store.keys()].sort(), ['1:-10', '1:-1001', '2:-1001'])
+  t.deepEqual(sessions.store.get('2:-1001'), { session: { foo: 2 } })
+  await t.throwsAsync(session({ store: { get () {}, set () {} } }).migrateChat(-1, -1001))
+})
+
+test('should keep TTL of migrated sessions', async t => {
+  const sessions = session({ ttl: 1 })
+  t.teardown(() => sessions.store.close())
+  const bot = createBot()
+  bot.use(sessions)
+  bot.on('message', ctx => {
+    ctx.session.foo = 1
+  })
+  await bot.handleUpdate({ message: { ...BaseTextMessage, from: { id: 1 }, chat: { id: -1 } } })
+  t.is(sessions.store.get('1:-1').expires, null)
+
+  t.is(await sessions.migrateChat(-1, -1001), 1)
+  const entry = sessions.store.items.get('1:-1001')
+  t.true(entry.expires > Date.now() && entry.expires <= Date.now() + 1000)
+
+  const custom = new Map([['2:-1', { session: {}, expires: Date.now() + 500 }]])
+  const ttls = []
+  const store = { get: key => custom.get(key), set: (key, value, ttl) => ttls.push(ttl), delete () {}, keys: () => custom.keys() }
+  await session({ store, ttl: 60 }).migrateChat(-1, -1001)
+  t.true(ttls[0] > 0 && ttls[0] <= 500)
+})
+
 test('should throw error on read / write session when key not defined', async t => {
   await t.throwsAsync(
     new Promise((resolve, reject) => {
@@ -446,6 +665,15 @@ test('should handle webhook response', async t => {
   })
 })
 
+test('should apply telegram interceptors to webhook reply', async t => {
+  const bot = createBot('token')
+  bot.telegram.use((method, payload, next) => next(method, { ...payload, action: 'upload_photo' }))
+  bot.use(ctx => ctx.replyWithChatAction('typing'))
+  const res = new MockResponse()
+  await bot.handleUpdate({ message: BaseTextMessage }, res)
+  t.is(JSON.parse(res.body).action, 'upload_photo')
+})
+
 test('should respect webhookReply option', async t => {
   const bot = createBot(null, { telegram: { webhookReply: false } })
   bot.catch(err => { throw err }) // Disable log
@@ -529,7 +757,7 @@ test('should restrict access with wrong path', async t => {
     })
 
     callback(req, res)
-      .then(() => t.is(res.statusCode, 403) && resolve())
+      .then(() => t.is(res.statusCode, 404) && resolve())
   })
 })
 
@@ -547,7 +775,7 @@ test('should restrict access with wrong secret', async t => {
     })
 
     callback(req, res)
-      .then(() => t.is(res.statusCode, 403) && resolve())
+      .then(() => t.is(res.statusCode, 401) && resolve())
   })
 })
 
@@ -588,3 +816,462 @@ test('should handle webhook update with path', async t => {
       .then(() => t.is(res.statusCode, 200) && resolve())
   })
 })
+
+test('should restrict access from addresses not in allowlist', async t => {
+  const bot = createBot()
+  const update = { message: BaseTextMessage }
+  const callback = bot.webhookCallback({ path: '/anime', ipAllowlist: true })
+  const request = (remoteAddress, headers = {}) => Object.assign(
+    new MockRequest('/anime', 'POST', headers, update),
+    { socket: { remoteAddress } }
+  )
+
+  const allowed = new MockResponse()
+  await callback(request('::ffff:149.154.167.220'), allowed)
+  t.is(allowed.statusCode, 200)
+
+  const denied = new MockResponse()
+  await callback(request('10.0.0.1', { 'x-forwarded-for': '149.154.167.220' }), denied)
+  t.is(denied.statusCode, 403)
+
+  const proxied = new MockResponse()
+  const proxyCallback = bot.webhookCallback({ path: '/anime', ipAllowlist: ['91.108.4.0/22', '2001:db8::/32'], trustProxy: 1 })
+  await proxyCallback(request('10.0.0.1', { 'x-forwarded-for': '1.1.1.1, 91.108.5.1' }), proxied)
+  t.is(proxied.statusCode, 200)
+
+  const ipv6 = new MockResponse()
+  await proxyCallback(request('2001:db8::1'), ipv6)
+  t.is(ipv6.statusCode, 200)
+
+  const spoofed = new MockResponse()
+  await proxyCallback(request('10.0.0.1', { 'x-forwarded-for': '91.108.5.1, 1.1.1.1' }), spoofed)
+  t.is(spoofed.statusCode, 403)
+
+  const trustedCallback = bot.webhookCallback({ path: '/anime', ipAllowlist: true, trustProxy: true })
+  const trusted = new MockResponse()
+  await trustedCallback(request('10.0.0.1', { 'x-forwarded-for': '1.1.1.1, 149.154.167.220' }), trusted)
+  t.is(trusted.statusCode, 200)
+
+  const spoofedTrusted = new MockResponse()
+  await trustedCallback(request('10.0.0.1', { 'x-forwarded-for': '149.154.160.1, 1.1.1.1' }), spoofedTrusted)
+  t.is(spoofedTrusted.statusCode, 403)
+})
+
+test('should check allowlist before secret and report mismatch only for trusted addresses', async t => {
+  const bot = createBot()
+  const mismatches = []
+  const request = (remoteAddress) => Object.assign(
+    new MockRequest('/anime', 'POST', { 'x-telegram-bot-api-secret-token': 'wrong' }, { message: BaseTextMessage }),
+    { socket: { remoteAddress } }
+  )
+  const send = async (callback, remoteAddress) => {
+    const res = new MockResponse()
+    await callback(request(remoteAddress), res)
+    return res.statusCode
+  }
+
+  const restricted = bot.webhookCallback({
+    path: '/anime',
+    secret: 'secret',
+    ipAllowlist: ['10.0.0.0/8'],
+    onSecretMismatch: () => mismatches.push('restricted')
+  })
+  t.is(await send(restricted, '1.1.1.1'), 403)
+  t.is(await send(restricted, '10.0.0.1'), 401)
+
+  const open = bot.webhookCallback({ path: '/anime', secret: 'secret', onSecretMismatch: () => mismatches.push('open') })
+  t.is(await send(open, '1.1.1.1'), 401)
+  t.is(await send(open, '149.154.167.220'), 401)
+  t.deepEqual(mismatches, ['restricted', 'open'])
+})
+
+test('should reject webhook requests with too large body', async t => {
+  const bot = createBot()
+  bot.on('message', () => t.fail())
+  const callback = bot.webhookCallback({ path: '/anime', maxBodySize: 16 })
+  const body = JSON.stringify({ message: BaseTextMessage })
+  const request = (headers) => Object.assign(Readable.from([Buffer.from(body)]), { url: '/anime', method: 'POST', headers })
+
+  const declared = new MockResponse()
+  await callback(request({ 'content-length': String(body.length) }), declared)
+  t.is(declared.statusCode, 413)
+
+  const streamed = new MockResponse()
+  await callback(request({}), streamed)
+  t.is(streamed.statusCode, 413)
+})
+
+test('should handle webhook update with fetch adapter', async t => {
+  const bot = createBot('token')
+  bot.on('message', ctx => ctx.replyWithChatAction('typing'))
+  const handler = bot.webhookCallback({ path: '/anime', adapter: 'fetch' })
+
+  const response = await handler(new Request('https://example.com/anime', {
+    method: 'POST',
+    body: JSON.stringify({ message: BaseTextMessage })
+  }))
+  t.is(response.status, 200)
+  t.is(response.headers.get('content-type'), 'application/json')
+  t.deepEqual(await response.json(), { method: 'sendChatAction', chat_id: 1, action: 'typing' })
+
+  const wrongPath = await handler(new Request('https://example.com/other', { method: 'POST', body: '{}' }))
+  t.is(wrongPath.status, 404)
+})
+
+test('should send multipart webhook reply with fetch adapter', async t => {
+  const bot = createBot('token')
+  bot.telegram.use((method, payload, next) => next(method, { ...payload, photo: { source: Buffer.from('photo') } }))
+  bot.on('message', ctx => ctx.replyWithChatAction('upload_photo'))
+  const handler = bot.webhookCallback({ path: '/anime', adapter: 'fetch' })
+
+  const response = await handler(new Request('https://example.com/anime', {
+    method: 'POST',
+    body: JSON.stringify({ message: BaseTextMessage })
+  }))
+  t.regex(response.headers.get('content-type'), /^multipart\/form-data; boundary=/)
+  const body = await response.text()
+  t.regex(body, /name="method"\r\n\r\nsendChatAction/)
+  t.regex(body, /filename="photo.jpg"\r\n\r\nphoto/)
+})
+
+test('should handle webhook update with koa adapter', async t => {
+  const bot = createBot()
+  t.plan(4)
+  bot.on('message', ctx => t.is(ctx.message.text, 'foo'))
+  const middleware = bot.webhookCallback({ path: '/anime', adapter: 'koa' })
+
+  const ctx = {
+    req: { url: '/anime', method: 'POST', headers: {} },
+    res: new MockResponse(),
+    request: { body: { message: BaseTextMessage } }
+  }
+  await middleware(ctx, () => t.fail())
+  t.is(ctx.respond, false)
+  t.true(ctx.res.writableEnded)
+
+  const skipped = { req: new MockRequest('/other', 'POST', {}), res: new MockResponse(), request: {} }
+  await middleware(skipped, () => t.pass())
+})
+
+test('should handle webhook update with fastify adapter', async t => {
+  const bot = createBot()
+  bot.on('message', ctx => ctx.replyWithChatAction('typing'))
+  const handler = bot.webhookCallback({ path: '/anime', adapter: 'fastify' })
+
+  let hijacked = false
+  const raw = { url: '/anime', method: 'POST', headers: {} }
+  const reply = { raw: new MockResponse(), hijack: () => { hijacked = true } }
+  await handler({ raw, body: { message: BaseTextMessage } }, reply)
+  t.true(hijacked)
+  t.is(reply.raw.statusCode, 200)
+  t.true(reply.raw.writableEnded)
+  t.deepEqual(JSON.parse(reply.raw.body), { method: 'sendChatAction', chat_id: 1, action: 'typing' })
+})
+
+test('should reply via webhook to Koa response passed to handleUpdate', async t => {
+  const bot = createBot()
+  bot.on('message', ctx => ctx.replyWithChatAction('typing'))
+  const response = { header: {}, set () {}, body: undefined }
+  await bot.handleUpdate({ message: BaseTextMessage }, response)
+  t.deepEqual(response.body, { method: 'sendChatAction', chat_id: 1, action: 'typing' })
+})
+
+test('should throw on unknown webhook adapter', t => {
+  t.throws(() => createBot().webhookCallback({ adapter: 'unknown' }), { message: /Unknown webhook adapter/ })
+})
+
+test('should respond immediately and process webhook updates in background', async t => {
+  const bot = createBot()
+  const processed = []
+  let release
+  const blocker = new Promise(resolve => { release = resolve })
+  bot.on('message', async ctx => {
+    await blocker
+    processed.push(ctx.update.update_id)
+    // Webhook reply is disabled in background mode
+    t.is(ctx.telegram.response, undefined)
+  })
+  const callback = bot.webhookCallback({ path: '/anime', background: { concurrency: 1, maxQueueSize: 1 } })
+  const send = async (id) => {
+    const res = new MockResponse()
+    await callback(new MockRequest('/anime', 'POST', {}, { update_id: id, message: BaseTextMessage }), res)
+    return res
+  }
+
+  const first = await send(1)
+  t.is(first.statusCode, 200)
+  t.true(first.writableEnded)
+  t.is((await send(2)).statusCode, 200)
+  t.is((await send(3)).statusCode, 503)
+  t.deepEqual(processed, [])
+
+  release()
+  await bot.stop()
+  t.deepEqual(processed, [1, 2])
+})
+
+test('should process polling updates sequentially within chat and concurrently across chats', async t => {
+  const bot = createBot()
+  const message = (id, chatId) => ({ update_id: id, message: { ...BaseTextMessage, chat: { id: chatId, type: 'private' } } })
+  let fetched = false
+  bot.telegram.getUpdates = async () => {
+    if (fetched) return new Promise(resolve => setTimeout(resolve, 10, []))
+    fetched = true
+    return [message(1, 1), message(2, 1), message(3, 2)]
+  }
+
+  const events = []
+  bot.on('message', async ctx => {
+    events.push(`start ${ctx.update.update_id}`)
+    await new Promise(resolve => setTimeout(resolve, 20))
+    events.push(`end ${ctx.update.update_id}`)
+  })
+
+  bot.startPolling(30, 100, null, undefined, { concurrency: 2 })
+  await new Promise(resolve => setTimeout(resolve, 5))
+  t.is(bot.polling.offset, 4)
+  await bot.stop()
+  t.deepEqual(events, ['start 1', 'start 3', 'end 1', 'start 2', 'end 3', 'end 2'])
+})
+
+test('should retry and dead-letter failed polling updates without stopping', async t => {
+  const bot = createBot()
+  bot.catch(err => { throw err })
+  let fetched = false
+  bot.telegram.getUpdates = async () => {
+    if (fetched) return new Promise(resolve => setTimeout(resolve, 10, []))
+    fetched = true
+    return [{ update_id: 1, message: BaseTextMessage }, { update_id: 2, message: { ...BaseTextMessage, text: 'ok' } }]
+  }
+
+  const attempts = {}
+  bot.on('message', ctx => {
+    attempts[ctx.update.update_id] = (attempts[ctx.update.update_id] || 0) + 1
+    if (ctx.message.text !== 'ok') throw new Error('Broken update')
+  })
+
+  const failed = []
+  bot.startPolling(30, 100, null, undefined, {
+    retries: 2,
+    onFailedUpdate: (err, update) => failed.push([err.message, update.update_id])
+  })
+  await new Promise(resolve => setTimeout(resolve, 5))
+  await bot.stop()
+
+  t.deepEqual(attempts, { 1: 3, 2: 1 })
+  t.deepEqual(failed, [['Broken update', 1]])
+  t.false(bot.polling.started)
+  t.is(bot.polling.offset, 3)
+})
+
+test('should use exponential backoff when fetching updates failed', async t => {
+  const bot = createBot(undefined, { retryAfter: 0.01, maxRetryAfter: 0.02 })
+  const calls = []
+  bot.telegram.getUpdates = async () => {
+    calls.push(Date.now())
+    if (calls.length === 4) bot.polling.started = false
+    throw Object.assign(new Error('Network error'), { name: 'FetchError' })
+  }
+
+  const error = console.error
+  console.error = () => {}
+  try {
+    await new Promise(resolve => bot.startPolling(30, 100, null, resolve))
+  } finally {
+    console.error = error
+  }
+
+  t.is(calls.length, 4)
+  t.true(calls[1] - calls[0] >= 8)
+  t.true(calls[2] - calls[1] >= 18)
+  t.true(calls[3] - calls[2] >= 18)
+  t.is(bot.polling.fetchFailures, 3)
+})
+
+test('should wait for processing updates on stop and abort them after timeout', async t => {
+  const bot = createBot()
+  const events = []
+  bot.on('message', ctx => new Promise(resolve => {
+    if (ctx.message.text === 'fast') {
+      return setTimeout(() => resolve(events.push('fast done')), 10)
+    }
+    ctx.signal.addEventListener('abort', () => resolve(events.push('slow aborted')))
+  }))
+
+  bot.handleUpdate({ update_id: 1, message: { ...BaseTextMessage, text: 'fast' } })
+  bot.handleUpdate({ update_id: 2, message: BaseTextMessage })
+  t.is(bot.inFlightUpdates.size, 2)
+
+  await bot.stop({ timeout: 500 })
+  t.deepEqual(events, ['fast done', 'slow aborted'])
+})
+
+test('should abort processing of polling updates after stop timeout', async t => {
+  const bot = createBot()
+  const calls = []
+  bot.telegram.getUpdates = async (timeout, limit, offset) => {
+    calls.push(offset)
+    return calls.length === 1 ? [{ update_id: 5, message: BaseTextMessage }] : []
+  }
+  const events = []
+  bot.on('message', ctx => new Promise(resolve => {
+    ctx.signal.addEventListener('abort', () => resolve(events.push('aborted')))
+  }))
+
+  bot.startPolling(30, 100)
+  while (bot.inFlightUpdates.size === 0) {
+    await new Promise(resolve => setTimeout(resolve, 1))
+  }
+  await bot.stop({ timeout: 50 })
+
+  t.deepEqual(events, ['aborted'])
+  t.deepEqual(calls, [0])
+  t.is(bot.polling.committedOffset, 0)
+})
+
+test('should stop polling with timeout when polling queue is full', async t => {
+  const bot = createBot()
+  const message = (id, chatId) => ({ update_id: id, message: { ...BaseTextMessage, chat: { id: chatId, type: 'private' } } })
+  let fetched = false
+  bot.telegram.getUpdates = async () => {
+    if (fetched) return []
+    fetched = true
+    return [message(1, 1), message(2, 1), message(3, 1)]
+  }
+  const processed = []
+  bot.on('message', ctx => new Promise(resolve => {
+    ctx.signal.addEventListener('abort', resolve)
+  }).then(() => processed.push(ctx.update.update_id)))
+
+  bot.startPolling(30, 100, null, undefined, { concurrency: 1, maxQueueSize: 1 })
+  while (bot.polling.offset !== 3) {
+    await new Promise(resolve => setTimeout(resolve, 1))
+  }
+  await bot.stop({ timeout: 50 })
+
+  t.deepEqual(processed, [1])
+  t.is(bot.polling.committedOffset, 1)
+})
+
+test('should abort long polling and confirm offset on stop', async t => {
+  const bot = createBot()
+  const calls = []
+  bot.telegram.getUpdates = async (timeout, limit, offset, allowedUpdates, extra) => {
+    calls.push([timeout, limit, offset])
+    if (calls.length === 1) return [{ update_id: 5, message: BaseTextMessage }]
+    if (!extra) return []
+    return new Promise((resolve, reject) => {
+      extra.signal.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' })))
+    })
+  }
+  bot.on('message', () => {})
+
+  bot.startPolling(30, 100)
+  await new Promise(resolve => setTimeout(resolve, 10))
+  let stopped = false
+  await bot.stop(() => { stopped = true })
+
+  t.true(stopped)
+  t.deepEqual(calls, [[30, 100, 0], [30, 100, 6], [0, 1, 6]])
+})
+
+test('should drop duplicate updates when dedupe enabled', async t => {
+  const duplicates = []
+  const bot = createBot(undefined, { dedupe: { onDuplicate: update => duplicates.push(update.update_id) } })
+  bot.catch(err => { throw err })
+  let calls = 0
+  bot.on('message', async ctx => {
+    calls++
+    await new Promise(resolve => setTimeout(resolve, 10))
+    if (ctx.message.text === 'fail') throw new Error('Failed')
+  })
+
+  const update = { update_id: 1, message: BaseTextMessage }
+  await Promise.all([bot.handleUpdate(update), bot.handleUpdate(update)])
+  await bot.handleUpdate(update)
+  t.is(calls, 1)
+  t.deepEqual(duplicates, [1, 1])
+
+  // Failed update can be delivered again
+  const failing = { update_id: 2, message: { ...BaseTextMessage, text: 'fail' } }
+  await t.throwsAsync(bot.handleUpdate(failing), { message: 'Failed' })
+  await t.throwsAsync(bot.handleUpdate(failing), { message: 'Failed' })
+  t.is(calls, 3)
+})
+
+test('should resume polling from stored offset and save offset of processed updates', async t => {
+  const fs = require('fs')
+  const os = require('os')
+  const path = require('path')
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'opengram-'))
+  const offsetPath = path.join(dir, 'offset')
+  fs.writeFileSync(offsetPath, '10')
+
+  const bot = createBot()
+  const message = (id, chatId) => ({ update_id: id, message: { ...BaseTextMessage, chat: { id: chatId, type: 'private' } } })
+  const calls = []
+  bot.telegram.getUpdates = async (timeout, limit, offset) => {
+    calls.push(offset)
+    if (calls.length === 1) return [message(13, 1), message(14, 2)]
+    return new Promise(resolve => setTimeout(resolve, 10, []))
+  }
+  bot.on('message', ctx => new Promise(resolve => setTimeout(resolve, ctx.update.update_id === 13 ? 100 : 0)))
+
+  const skipped = []
+  bot.startPolling(30, 100, null, undefined, {
+    concurrency: 2,
+    offsetStore: new Opengram.FileOffsetStore(offsetPath),
+    onSkippedUpdates: (count, offset) => skipped.push([count, offset])
+  })
+  while (bot.polling.offset !== 15) {
+    await new Promise(resolve => setTimeout(resolve, 1))
+  }
+  t.is(bot.polling.committedOffset, 13)
+
+  await bot.stop()
+  t.is(calls[0], 10)
+  t.is(calls[calls.length - 1], 15)
+  t.deepEqual(skipped, [[3, 10]])
+  t.is(fs.readFileSync(offsetPath, 'utf-8'), '15')
+  fs.rmSync(dir, { recursive: true })
+})
+
+test('should report failed loading of polling offset', async t => {
+  const offsetStore = { get: async () => { throw new Error('store unavailable') }, set () {} }
+  const bot = createBot()
+  bot.telegram.getMe = async () => bot.context.botInfo
+  bot.telegram.deleteWebhook = async () => true
+  bot.telegram.getUpdates = () => t.fail()
+  await t.throwsAsync(bot.launch({ polling: { offsetStore } }), { message: 'store unavailable' })
+  t.false(bot.polling.started)
+  t.is(bot.updateSource, undefined)
+
+  const errors = []
+  const error = console.error
+  console.error = (...args) => errors.push(args)
+  try {
+    bot.startPolling(30, 100, null, undefined, { offsetStore })
+    await new Promise(resolve => setImmediate(resolve))
+  } finally {
+    console.error = error
+  }
+  t.false(bot.polling.started)
+  t.is(errors[0][1].message, 'store unavailable')
+})
+
+test('should accept any of several webhook secrets', async t => {
+  const bot = createBot()
+  const texts = []
+  bot.on('text', ctx => texts.push(ctx.message.text))
+  const callback = bot.webhookCallback({ path: '/anime', secret: ['old-secret', 'new-secret'] })
+  const send = async (secret, text) => {
+    const res = new MockResponse()
+    await callback(new MockRequest('/anime', 'POST', { 'x-telegram-bot-api-secret-token': secret }, { message: { ...BaseTextMessage, text } }), res)
+    return res.statusCode
+  }
+
+  t.is(await send('old-secret', 'old'), 200)
+  t.is(await send('new-secret', 'new'), 200)
+  t.is(await send('other-secret', 'other'), 401)
+  t.deepEqual(texts, ['old', 'new'])
+})
@@ -0,0 +1,262 @@
+const test = require('ava')
+const http = require('http')
+const { Readable } = require('stream')
+const { EventEmitter } = require('events')
+const Opengram = require('../')
+const { createBot, createApiServer } = require('./utils')
+const { JsonLinesSource, EmitterSource, UpdateSource, WebhookSource } = Opengram
+
+const message = (id, text) => ({ update_id: id, message: { message_id: id, chat: { id: 1, type: 'private' }, text } })
+
+function launchBot (source) {
+  const bot = createBot()
+  bot.telegram.getMe = async () => bot.context.botInfo
+  return { bot, launched: bot.launch({ source }) }
+}
+
+test('should replay updates from JSON lines stream in order', async t => {
+  const lines = [message(1, 'first'), message(2, 'second')].map(update => JSON.stringify(update))
+  const source = new JsonLinesSource({ stream: Readable.from([`${lines[0]}\n\nnot json\n${lines[1]}\n`]) })
+  const { bot, launched } = launchBot(source)
+  const texts = []
+  bot.on('text', async ctx => {
+    await new Promise(resolve => setTimeout(resolve, ctx.update.update_id === 1 ? 20 : 0))
+    texts.push(ctx.message.text)
+  })
+
+  const error = console.error
+  console.error = () => {}
+  try {
+    await launched
+    await source.finished
+  } finally {
+    console.error = error
+  }
+  await bot.stop()
+  t.deepEqual(texts, ['first', 'second'])
+})
+
+test('should reject launch when JSON lines file not exists', async t => {
+  const { launched } = launchBot(new JsonLinesSource({ path: '/nonexistent/updates.jsonl' }))
+  await t.throwsAsync(launched, { code: 'ENOENT' })
+})
+
+test('should reject finished promise when reading JSON lines stream failed', async t => {
+  const stream = new Readable({ read () {} })
+  const source = new JsonLinesSource({ stream })
+  const { bot, launched } = launchBot(source)
+  await launched
+
+  const errors = []
+  const error = console.error
+  console.error = (...args) => errors.push(args)
+  try {
+    stream.destroy(new Error('read failed'))
+    await t.throwsAsync(source.finished, { message: 'read failed' })
+  } finally {
+    console.error = error
+  }
+  t.is(errors.length, 1)
+  await bot.stop()
+})
+
+test('should receive updates from event emitter until stopped', async t => {
+  const emitter = new EventEmitter()
+  const source = new EmitterSource(emitter, 'telegram-update')
+  const { bot, launched } = launchBot(source)
+  const texts = []
+  bot.on('text', ctx => texts.push(ctx.message.text))
+
+  await launched
+  emitter.emit('telegram-update', message(1, 'emitted'))
+  source.push(message(2, 'pushed'))
+  await bot.stop()
+  source.push(message(3, 'ignored'))
+
+  t.deepEqual(texts, ['emitted', 'pushed'])
+  t.is(emitter.listenerCount('telegram-update'), 0)
+})
+
+test('should start and stop custom update source', async t => {
+  const events = []
+  class CustomSource extends UpdateSource {
+    async start (bot) {
+      await super.start(bot)
+      events.push('start')
+      await this.handleUpdate(message(1, 'custom'))
+    }
+
+    async stop () {
+      events.push('stop')
+    }
+  }
+
+  const { bot, launched } = launchBot(new CustomSource())
+  bot.on('text', ctx => events.push(ctx.message.text))
+  t.is(await launched, bot)
+  await bot.stop()
+  t.deepEqual(events, ['start', 'custom', 'stop'])
+})
+
+function createWebhookApi (webhookInfo) {
+  return createApiServer(method => {
+    if (method === 'getMe') return { ok: true, result: { id: 1, is_bot: true, first_name: 'Bot', username: 'bot' } }
+    if (method === 'getWebhookInfo') return { ok: true, result: webhookInfo() }
+    return { ok: true, result: true }
+  })
+}
+
+test('should not set webhook when it is up to date', async t => {
+  const api = await createWebhookApi(() => ({
+    url: 'https://example.com/hook',
+    has_custom_certificate: false,
+    pending_update_count: 0,
+    max_connections: 40,
+    allowed_updates: ['message', 'callback_query']
+  }))
+  const bot = new Opengram('1:token', { telegram: { apiRoot: api.apiRoot } })
+  await bot.launch({
+    allowedUpdates: ['callback_query', 'message'],
+    webhook: { domain: 'example.com', path: '/hook', host: '127.0.0.1', maxConnections: 40 }
+  })
+  await bot.stop()
+  api.close()
+
+  t.deepEqual(api.calls.map(call => call.method), ['getMe', 'getWebhookInfo'])
+})
+
+test('should set webhook with secret token even if it is up to date', async t => {
+  const api = await createWebhookApi(() => ({ url: 'https://example.com/hook', has_custom_certificate: false }))
+  const bot = new Opengram('1:token', { telegram: { apiRoot: api.apiRoot } })
+  await bot.launch({ webhook: { domain: 'example.com', path: '/hook', secret: 'new-secret', host: '127.0.0.1' } })
+  await bot.stop()
+  api.close()
+
+  t.deepEqual(api.calls.map(call => call.method), ['getMe', 'setWebhook'])
+  t.is(api.calls[1].payload.secret_token, 'new-secret')
+})
+
+test('should set webhook with certificate when it differs', async t => {
+  const api = await createWebhookApi(() => ({ url: 'https://example.com/hook', has_custom_certificate: false }))
+  const bot = new Opengram('1:token', { telegram: { apiRoot: api.apiRoot } })
+  await bot.launch({
+    webhook: { domain: 'example.com', path: '/hook', host: '127.0.0.1', certificate: Buffer.from('CERTIFICATE') }
+  })
+  await bot.stop()
+  api.close()
+
+  const setWebhook = api.calls.find(call => call.method === 'setWebhook')
+  t.regex(setWebhook.contentType, /^multipart\/form-data/)
+  t.regex(setWebhook.body, /name="certificate"; filename="certificate.pem"\r\n\r\nCERTIFICATE/)
+  t.regex(setWebhook.body, /name="url"\r\n\r\nhttps:\/\/example.com\/hook/)
+})
+
+test('should report webhook errors and set webhook again on drift', async t => {
+  let info = { url: 'https://example.com/opengram', has_custom_certificate: false }
+  const api = await createWebhookApi(() => info)
+  const bot = new Opengram('1:token', { telegram: { apiRoot: api.apiRoot } })
+  const errors = []
+  await bot.launch({
+    webhook: {
+      domain: 'example.com',
+      host: '127.0.0.1',
+      checkInterval: 10,
+      onWebhookError: message => errors.push(message)
+    }
+  })
+  // Webhook with secret token is set on start
+  t.is(api.calls.filter(call => call.method === 'setWebhook').length, 1)
+
+  info = { url: '', last_error_date: Math.floor(Date.now() / 1000) + 1, last_error_message: 'Connection refused' }
+  await new Promise(resolve => setTimeout(resolve, 50))
+  await bot.stop()
+  api.close()
+
+  t.deepEqual(errors, ['Connection refused'])
+  t.true(api.calls.filter(call => call.method === 'setWebhook').length > 1)
+})
+
+test('should set webhook again when request with wrong secret received', async t => {
+  const api = await createWebhookApi(() => ({ url: 'https://example.com/opengram' }))
+  const bot = new Opengram('1:token', { telegram: { apiRoot: api.apiRoot } })
+  const source = new WebhookSource({ domain: 'example.com', secret: 'secret', host: '127.0.0.1', ipAllowlist: ['127.0.0.1'] })
+  await bot.launch({ source })
+  const setCount = () => api.calls.filter(call => call.method === 'setWebhook').length
+  t.is(setCount(), 1)
+
+  const { port } = bot.webhookServer.address()
+  const send = secret => new Promise(resolve => {
+    const req = http.request({ port, host: '127.0.0.1', method: 'POST', path: '/opengram', headers: { 'x-telegram-bot-api-secret-token': secret } }, resolve)
+    req.end('{}')
+  })
+  await send('wrong')
+  await send('wrong')
+  await new Promise(resolve => setTimeout(resolve, 20))
+  await bot.stop()
+  api.close()
+
+  // Second request ignored, webhook set again at most once per minute
+  t.is(setCount(), 2)
+})
+
+test('should rotate webhook secret accepting previous one during grace period', async t => {
+  const api = await createWebhookApi(() => ({ url: 'https://example.com/hook' }))
+  const bot = new Opengram('1:token', { telegram: { apiRoot: api.apiRoot } })
+  bot.on('text', () => {})
+  await t.throwsAsync(bot.rotateWebhookSecret('new'), { message: 'Webhook is not launched' })
+  await bot.launch({ webhook: { domain: 'example.com', path: '/hook', secret: 'old', host: '127.0.0.1' } })
+
+  const { port } = bot.webhookServer.address()
+  const send = secret => new Promise(resolve => {
+    const headers = { 'x-telegram-bot-api-secret-token': secret }
+    const req = http.request({ port, host: '127.0.0.1', method: 'POST', path: '/hook', headers }, res => {
+      res.resume()
+      resolve(res.statusCode)
+    })
+    req.end(JSON.stringify({ update_id: 1, message: { message_id: 1, chat: { id: 1, type: 'private' }, text: 'hi' } }))
+  })
+
+  t.is(await bot.rotateWebhookSecret('new', { gracePeriod: 30 }), 'new')
+  const setWebhook = api.calls.filter(call => call.method === 'setWebhook')
+  t.deepEqual(setWebhook.map(call => call.payload.secret_token), ['old', 'new'])
+  t.is(await send('old'), 200)
+  t.is(await send('new'), 200)
+
+  await new Promise(resolve => setTimeout(resolve, 50))
+  t.is(await send('old'), 401)
+  t.is(await send('new'), 200)
+  await bot.stop()
+  api.close()
+})
+
+test('should serve health and readiness endpoints', async t => {
+  let url = ''
+  const api = await createWebhookApi(() => ({ url }))
+  const bot = new Opengram('1:token', { telegram: { apiRoot: api.apiRoot } })
+  bot.on('text', () => {})
+  bot.startWebhook({ path: '/hook', healthChecks: { cacheTime: 0 } }, null, 0, '127.0.0.1')
+  await new Promise(resolve => bot.webhookServer.once('listening', resolve))
+
+  const { port } = bot.webhookServer.address()
+  const get = path => new Promise(resolve => {
+    http.get({ port, host: '127.0.0.1', path }, async res => {
+      let body = ''
+      for await (const chunk of res) body += chunk
+      resolve({ status: res.statusCode, body: JSON.parse(body) })
+    })
+  })
+
+  const health = await get('/healthz')
+  t.is(health.status, 200)
+  t.like(health.body, { status: 'ok', botInfo: false, queueSize: 0, processing: 0, lastUpdateAt: null })
+  t.like(await get('/readyz'), { status: 503, body: { status: 'not ready', webhook: false } })
+
+  url = 'https://example.com/hook'
+  await bot.handleUpdate({ update_id: 1, message: { message_id: 1, chat: { id: 1, type: 'private' }, text: 'hi' } })
+  const ready = await get('/readyz?probe=1')
+  t.like(ready, { status: 200, body: { status: 'ready', botInfo: true, webhook: true } })
+  t.truthy(Date.parse(ready.body.lastUpdateAt))
+
+  await bot.stop()
+  api.close()
+})
@@ -0,0 +1,168 @@
+const test = require('ava')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { MemoryStore, FileStore, session } = require('../')
+const { createBot } = require('./utils')
+
+function createTempDir (t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'opengram-store-'))
+  t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+test('should evict least recently used entries', t => {
+  const store = new MemoryStore({ maxSize: 2 })
+  store.set('a', 1)
+  store.set('b', 2)
+  t.is(store.get('a'), 1)
+  store.set('c', 3)
+
+  t.false(store.has('b'))
+  t.deepEqual(store.keys(), ['a', 'c'])
+  t.is(store.size, 2)
+})
+
+test('should expire entries and extend lifetime with touch', async t => {
+  const store = new MemoryStore({ ttl: 200 })
+  store.set('default', 1)
+  store.set('long', 2, 2000)
+  store.set('touched', 3)
+  await new Promise(resolve => setTimeout(resolve, 100))
+  t.true(store.touch('touched', 2000))
+  await new Promise(resolve => setTimeout(resolve, 200))
+
+  t.is(store.get('default'), undefined)
+  t.is(store.get('long'), 2)
+  t.is(store.get('touched'), 3)
+  t.false(store.touch('default'))
+  t.true(store.delete('long'))
+  t.deepEqual(store.keys(), ['touched'])
+})
+
+test('should remove expired entries on cleanup', async t => {
+  const store = new MemoryStore()
+  store.set('a', 1, 5)
+  store.set('b', 2)
+  await new Promise(resolve => setTimeout(resolve, 10))
+  t.is(store.size, 2)
+  t.is(store.cleanup(), 1)
+  t.is(store.size, 1)
+})
+
+test('should iterate not expired entries like Map', async t => {
+  const store = new MemoryStore()
+  store.set('a', 1)
+  store.set('expired', 2, 5)
+  store.set('b', 3)
+  await new Promise(resolve => setTimeout(resolve, 10))
+
+  t.deepEqual([...store], [['a', 1], ['b', 3]])
+  t.deepEqual(store.entries(), [['a', 1], ['b', 3]])
+  t.deepEqual(store.values(), [1, 3])
+  const visited = []
+  store.forEach((value, key, map) => visited.push([key, value, map === store]))
+  t.deepEqual(visited, [['a', 1, true], ['b', 3, true]])
+  t.deepEqual(new Map(store), new Map([['a', 1], ['b', 3]]))
+})
+
+test('should store values in files', async t => {
+  const dir = createTempDir(t)
+  const store = new FileStore({ dir: path.join(dir, 'sessions') })
+  t.is(await store.get('1:1'), undefined)
+  await store.set('1:1', { session: { count: 1 } })
+  await store.set('1:2', { session: { count: 2 } })
+  t.deepEqual(await store.get('1:1'), { session: { count: 1 } })
+  t.deepEqual((await store.keys()).sort(), ['1:1', '1:2'])
+  t.deepEqual(fs.readdirSync(path.join(dir, 'sessions')).sort(), ['1%3A1.json', '1%3A2.json'])
+
+  t.true(await store.delete('1:2'))
+  t.false(await store.delete('1:2'))
+  t.deepEqual(await new FileStore({ dir: path.join(dir, 'sessions') }).keys(), ['1:1'])
+})
+
+test('should store values in sharded directories and cache them', async t => {
+  const dir = createTempDir(t)
+  const store = new FileStore({ dir, shard: true, cache: true })
+  await store.set('key', { value: 1 })
+  const [shard] = fs.readdirSync(dir)
+  t.is(shard.length, 2)
+  t.deepEqual(fs.readdirSync(path.join(dir, shard)), ['key.json'])
+  t.deepEqual(await store.keys(), ['key'])
+
+  fs.writeFileSync(path.join(dir, shard, 'key.json'), JSON.stringify({ value: { value: 2 } }))
+  t.deepEqual(await store.get('key'), { value: 1 })
+  t.deepEqual(await new FileStore({ dir, shard: true }).get('key'), { value: 2 })
+})
+
+test('should remove expired values', async t => {
+  const dir = createTempDir(t)
+  const store = new FileStore({ dir })
+  await store.set('expired', { session: {}, expires: Date.now() - 1 })
+  await store.set('other', { session: {}, expires: Date.now() - 1 })
+  await store.set('alive', { session: {}, expires: Date.now() + 60000 })
+  await store.set('forever', { session: {}, expires: null })
+
+  t.is(await store.get('expired'), undefined)
+  t.deepEqual((await store.keys()).sort(), ['alive', 'forever', 'other'])
+  t.is(await store.cleanup(), 1)
+  t.deepEqual((await store.keys()).sort(), ['alive', 'forever'])
+})
+
+test('should expire values and extend lifetime with touch without rewriting files', async t => {
+  const dir = createTempDir(t)
+  const store = new FileStore({ dir, cache: true })
+  await store.set('default', 1)
+  await store.set('short', 2, 300)
+  await store.set('touched', 3, 300)
+  const { ino } = fs.statSync(path.join(dir, 'touched.json'))
+  await new Promise(resolve => setTimeout(resolve, 200))
+  t.true(await store.touch('touched', 300))
+  t.is(fs.statSync(path.join(dir, 'touched.json')).ino, ino)
+  await new Promise(resolve => setTimeout(resolve, 200))
+
+  t.is(await store.get('default'), 1)
+  t.is(await store.get('short'), undefined)
+  t.is(await store.get('touched'), 3)
+  t.is(await new FileStore({ dir }).get('touched'), 3)
+  t.false(await store.touch('short', 300))
+  t.true(await store.touch('default', 300))
+  t.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'default.json'), 'utf-8')), { value: 1, ttl: 300 })
+  await new Promise(resolve => setTimeout(resolve, 350))
+  t.is(await store.cleanup(), 2)
+  t.deepEqual(await store.keys(), [])
+})
+
+test('should refresh TTL of sessions in file store without rewriting files', async t => {
+  const dir = createTempDir(t)
+  const bot = createBot('123:token')
+  bot.use(session({ store: new FileStore({ dir }), ttl: 60 }))
+  bot.hears('write', ctx => {
+    ctx.session.count = 1
+  })
+  bot.hears('read', ctx => ctx.session.count)
+  const message = text => ({ message: { chat: { id: 1 }, from: { id: 1 }, text } })
+
+  await bot.handleUpdate(message('write'))
+  const file = path.join(dir, '1%3A1.json')
+  const { ino } = fs.statSync(file)
+  t.deepEqual(JSON.parse(fs.readFileSync(file, 'utf-8')), { value: { session: { count: 1 }, expires: null }, ttl: 60000 })
+  await bot.handleUpdate(message('read'))
+  t.is(fs.statSync(file).ino, ino)
+})
+
+test('should keep sessions in file store between restarts', async t => {
+  const dir = createTempDir(t)
+  const update = { message: { chat: { id: 1 }, from: { id: 1 }, text: 'foo' } }
+  const counts = []
+  for (let restart = 0; restart < 2; restart++) {
+    const bot = createBot('123:token')
+    bot.use(session({ store: new FileStore({ dir }) }))
+    bot.on('text', ctx => {
+      ctx.session.count = (ctx.session.count || 0) + 1
+      counts.push(ctx.session.count)
+    })
+    await bot.handleUpdate(update)
+  }
+  t.deepEqual(counts, [1, 2])
+})
@@ -0,0 +1,286 @@
+const test = require('ava')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {
+  Telegram,
+  TelegramError,
+  BotBlockedError,
+  ForbiddenError,
+  ChatNotFoundError,
+  MessageNotModifiedError,
+  MigrateToChatError,
+  FloodWaitError,
+  isTelegramError
+} = require('../')
+const { createBot, createApiServer } = require('./utils')
+
+test('should retry flood wait errors respecting retry_after', async t => {
+  const api = await createApiServer((method, payload, count) => count === 1
+    ? { status: 429, ok: false, error_code: 429, description: 'Too Many Requests', parameters: { retry_after: 0.01 } }
+    : { ok: true, result: true }
+  )
+  t.teardown(api.close)
+  const telegram = new Telegram('123:token', { apiRoot: api.apiRoot, retry: true })
+  t.true(await telegram.sendMessage(1, 'foo'))
+  t.is(api.calls.length, 2)
+})
+
+test('should retry uploads without streams', async t => {
+  const api = await createApiServer((method, payload, count) => count % 2
+    ? { status: 502, ok: false }
+    : { ok: true, result: true }
+  )
+  t.teardown(api.close)
+  const telegram = new Telegram('123:token', { apiRoot: api.apiRoot, retry: { minDelay: 1, maxDelay: 2 } })
+  t.true(await telegram.sendDocument(1, { source: Buffer.from('foo'), filename: 'foo.txt' }))
+  t.is(api.calls.length, 2)
+  t.regex(api.calls[1].body, /foo\.txt/)
+
+  const stream = require('stream').Readable.from(['bar'])
+  await t.throwsAsync(telegram.sendDocument(1, { source: stream, filename: 'bar.txt' }))
+  t.is(api.calls.length, 3)
+})
+
+test('should not retry when retry policy disabled', async t => {
+  const api = await createApiServer(() => ({ status: 502, ok: false }))
+  t.teardown(api.close)
+  const telegram = new Telegram('123:token', { apiRoot: api.apiRoot })
+  const err = await t.throwsAsync(telegram.sendMessage(1, 'foo'))
+  t.is(err.code, 502)
+  t.is(api.calls.length, 1)
+})
+
+test('should stop retrying after maxAttempts', async t => {
+  const api = await createApiServer(() => ({ status: 500, ok: false }))
+  t.teardown(api.close)
+  const telegram = new Telegram('123:token', {
+    apiRoot: api.apiRoot,
+    retry: { maxAttempts: 3, minDelay: 1, maxDelay: 2 }
+  })
+  await t.throwsAsync(telegram.sendMessage(1, 'foo'))
+  t.is(api.calls.length, 3)
+})
+
+test('should not retry excluded methods and client errors', async t => {
+  const api = await createApiServer((method) => method === 'sendMessage'
+    ? { status: 500, ok: false }
+    : { status: 400, ok: false, error_code: 400, description: 'Bad Request: chat not found' }
+  )
+  t.teardown(api.close)
+  const telegram = new Telegram('123:token', {
+    apiRoot: api.apiRoot,
+    retry: { minDelay: 1, excludeMethods: ['sendMessage'] }
+  })
+  await t.throwsAsync(telegram.sendMessage(1, 'foo'))
+  await t.throwsAsync(telegram.getChat(1))
+  t.is(api.calls.length, 2)
+})
+
+test('should stop retrying when signal aborted', async t => {
+  const controller = new AbortController()
+  const api = await createApiServer(() => {
+    setTimeout(() => controller.abort(), 20)
+    return { status: 429, ok: false, error_code: 429, description: 'Too Many Requests', parameters: { retry_after: 5 } }
+  })
+  t.teardown(api.close)
+  const telegram = new Telegram('123:token', { apiRoot: api.apiRoot, retry: true })
+  const call = telegram.callApi('sendMessage', { chat_id: 1, text: 'foo' }, { signal: controller.signal })
+  const err = await t.throwsAsync(call)
+  t.is(err.name, 'AbortError')
+  t.is(api.calls.length, 1)
+})
+
+test('should limit calls for the same private chat', async t => {
+  const api = await createApiServer(() => ({ ok: true, result: true }))
+  t.teardown(api.close)
+  const telegram = new Telegram('123:token', {
+    apiRoot: api.apiRoot,
+    rateLimit: { privateChat: { limit: 1, interval: 200 } }
+  })
+  const start = Date.now()
+  const calls = [telegram.sendMessage(1, 'foo'), telegram.sendMessage(1, 'bar'), telegram.sendMessage(2, 'baz')]
+  t.is(telegram.rateLimiter.size, 1)
+  t.is(telegram.rateLimiter.sizeOf(1), 1)
+  await Promise.all(calls)
+  t.true(Date.now() - start >= 190)
+  t.deepEqual(api.calls.map(call => call.payload.text), ['foo', 'baz', 'bar'])
+})
+
+test('should not limit read-only methods', async t => {
+  const api = await createApiServer(() => ({ ok: true, result: {} }))
+  t.teardown(api.close)
+  const telegram = new Telegram('123:token', {
+    apiRoot: api.apiRoot,
+    rateLimit: { global: { limit: 1, interval: 60000 } }
+  })
+  await telegram.sendMessage(1, 'foo')
+  await telegram.getChat(1)
+  const pending = telegram.sendMessage(2, 'bar')
+  t.is(telegram.rateLimiter.size, 1)
+  const controller = new AbortController()
+  const aborted = telegram.callApi('sendMessage', { chat_id: 3, text: 'baz' }, { signal: controller.signal })
+  controller.abort()
+  const err = await t.throwsAsync(aborted)
+  t.is(err.name, 'AbortError')
+  t.is(telegram.rateLimiter.size, 1)
+  t.is(api.calls.length, 2)
+  pending.catch(() => {})
+  clearTimeout(telegram.rateLimiter.timer)
+})
+
+test('should share rate limiter between instances created with same options', t => {
+  const telegram = new Telegram('123:token', { rateLimit: true })
+  const perUpdate = new Telegram('123:token', telegram.options)
+  t.is(perUpdate.rateLimiter, telegram.rateLimiter)
+  t.is(new Telegram('123:token').rateLimiter, null)
+})
+
+test('should pass calls through interceptors in order', async t => {
+  const api = await createApiServer((method, payload) => ({ ok: true, result: payload }))
+  t.teardown(api.close)
+  const telegram = new Telegram('123:token', { apiRoot: api.apiRoot })
+  const order = []
+  telegram.use(
+    (method, payload, next) => {
+      order.push(1)
+      return next(method, { ...payload, parse_mode: 'HTML' })
+    },
+    async (method, payload, next) => {
+      order.push(2)
+      return { ...await next(), intercepted: true }
+    }
+  )
+  const result = await telegram.sendMessage(1, 'foo')
+  t.deepEqual(order, [1, 2])
+  t.deepEqual(result, { chat_id: 1, text: 'foo', parse_mode: 'HTML', intercepted: true })
+})
+
+test('should short-circuit calls in interceptor', async t => {
+  const telegram = new Telegram('123:token', { apiRoot: 'http://notexists' })
+  telegram.use((method, payload, next) => method.startsWith('get') ? next() : true)
+  t.true(await telegram.sendMessage(1, 'foo'))
+  t.throws(() => telegram.use('foo'), { instanceOf: TypeError })
+})
+
+test('should download file to buffer, stream and disk', async t => {
+  const content = Buffer.from('file content')
+  const api = await createApiServer((method) => method === 'getFile'
+    ? { ok: true, result: { file_id: 'id', file_path: 'documents/file.txt', file_size: content.length } }
+    : content
+  )
+  t.teardown(api.close)
+  const telegram = new Telegram('123:token', { apiRoot: api.apiRoot })
+
+  t.deepEqual(await telegram.downloadFile('id'), content)
+
+  const stream = await telegram.downloadFile({ file_id: 'id', file_path: 'documents/file.txt' }, { stream: true })
+  const chunks = []
+  for await (const chunk of stream) chunks.push(chunk)
+  t.deepEqual(Buffer.concat(chunks), content)
+
+  const target = path.join(os.tmpdir(), `opengram-download-${process.pid}.txt`)
+  t.teardown(() => fs.unlinkSync(target))
+  t.is(await telegram.downloadFile('id', { to: target }), target)
+  t.deepEqual(fs.readFileSync(target), content)
+  t.is(api.calls.filter(call => call.method === 'file.txt').length, 3)
+})
+
+test('should enforce max size of downloaded file', async t => {
+  const api = await createApiServer(() => Buffer.alloc(1024))
+  t.teardown(api.close)
+  const telegram = new Telegram('123:token', { apiRoot: api.apiRoot })
+  await t.throwsAsync(telegram.downloadFile({ file_path: 'a', file_size: 2048 }, { maxSize: 1000 }), { message: /exceeds/ })
+  await t.throwsAsync(telegram.downloadFile({ file_path: 'a' }, { maxSize: 1000 }), { message: /exceeds/ })
+  t.is(api.calls.length, 1)
+})
+
+test('should throw typed errors for failed downloads', async t => {
+  const api = await createApiServer(() => ({ status: 403, ok: false }))
+  t.teardown(api.close)
+  const telegram = new Telegram('123:token', { apiRoot: api.apiRoot })
+  const err = await t.throwsAsync(telegram.downloadFile({ file_path: 'a' }), { instanceOf: ForbiddenError })
+  t.is(err.code, 403)
+})
+
+test('should read files of local Bot API server from disk', async t => {
+  const source = path.join(os.tmpdir(), `opengram local %20 ${process.pid}.txt`)
+  fs.writeFileSync(source, 'local')
+  t.teardown(() => fs.unlinkSync(source))
+  const telegram = new Telegram('123:token', { apiRoot: 'http://localhost:8081' })
+  t.is(String(await telegram.downloadFile({ file_id: 'id', file_path: source })), 'local')
+})
+
+test('should download the largest photo of current message', async t => {
+  const api = await createApiServer((method, payload) => method === 'getFile'
+    ? { ok: true, result: { file_id: payload.file_id, file_path: payload.file_id } }
+    : Buffer.from(method)
+  )
+  t.teardown(api.close)
+  const bot = createBot('123:token', { telegram: { apiRoot: api.apiRoot } })
+  bot.on('photo', async ctx => {
+    t.is(String(await ctx.downloadFile()), 'large')
+  })
+  bot.on('text', ctx => t.throws(() => ctx.downloadFile(), { instanceOf: TypeError }))
+  t.plan(2)
+  await bot.handleUpdate({
+    message: {
+      chat: { id: 1 },
+      photo: [{ file_id: 'small', file_size: 10 }, { file_id: 'large', file_size: 100 }, { file_id: 'medium', file_size: 50 }]
+    }
+  })
+  await bot.handleUpdate({ message: { chat: { id: 1 }, text: 'foo' } })
+})
+
+test('should throw typed errors for API error responses', async t => {
+  const responses = {
+    sendMessage: { status: 403, error_code: 403, description: 'Forbidden: bot was blocked by the user' },
+    getChat: { status: 400, error_code: 400, description: 'Bad Request: chat not found' },
+    editMessageText: { status: 400, error_code: 400, description: 'Bad Request: message is not modified' },
+    sendPhoto: {
+      status: 400,
+      error_code: 400,
+      description: 'Bad Request: group chat was upgraded to a supergroup chat',
+      parameters: { migrate_to_chat_id: -1001 }
+    },
+    sendDice: { status: 429, error_code: 429, description: 'Too Many Requests', parameters: { retry_after: 7 } },
+    leaveChat: { status: 403, error_code: 403, description: 'Forbidden: bot was kicked from the group chat' }
+  }
+  const api = await createApiServer((method) => ({ ok: false, ...responses[method] }))
+  t.teardown(api.close)
+  const telegram = new Telegram('123:token', { apiRoot: api.apiRoot, webhookReply: false })
+
+  const blocked = await t.throwsAsync(telegram.sendMessage(1, 'foo'), { instanceOf: BotBlockedError })
+  t.true(blocked instanceof ForbiddenError)
+  t.true(isTelegramError(blocked))
+  t.is(blocked.code, 403)
+  await t.throwsAsync(telegram.getChat(1), { instanceOf: ChatNotFoundError })
+  await t.throwsAsync(telegram.editMessageText(1, 1, undefined, 'foo'), { instanceOf: MessageNotModifiedError })
+  const migrate = await t.throwsAsync(telegram.sendPhoto(1, 'id'), { instanceOf: MigrateToChatError })
+  t.is(migrate.migrateToChatId, -1001)
+  const flood = await t.throwsAsync(telegram.sendDice(1), { instanceOf: FloodWaitError })
+  t.is(flood.retryAfter, 7)
+  const forbidden = await t.throwsAsync(telegram.leaveChat(1), { instanceOf: ForbiddenError })
+  t.false(forbidden instanceof BotBlockedError)
+  t.true(forbidden instanceof TelegramError)
+})
+
+test('should repeat calls for migrated chats when enabled', async t => {
+  const api = await createApiServer((method, payload) => payload.chat_id === -1
+    ? { status: 400, ok: false, error_code: 400, description: 'Bad Request', parameters: { migrate_to_chat_id: -1001 } }
+    : { ok: true, result: payload.chat_id }
+  )
+  t.teardown(api.close)
+  const migrations = []
+  const telegram = new Telegram('123:token', {
+    apiRoot: api.apiRoot,
+    migrateChats: true,
+    onChatMigrate: (...args) => migrations.push(args)
+  })
+  t.is(await telegram.sendMessage(-1, 'foo'), -1001)
+  t.deepEqual(migrations, [[-1, -1001, 'sendMessage']])
+
+  const disabled = new Telegram('123:token', { apiRoot: api.apiRoot })
+  await t.throwsAsync(disabled.sendMessage(-1, 'foo'), { instanceOf: MigrateToChatError })
+  t.is(api.calls.length, 3)
+})
@@ -1,3 +1,4 @@
+const http = require('http')
 const { Opengram } = require('../src/opengram')
 
 function createBot (token, options) {
@@ -6,4 +7,32 @@ function createBot (token, options) {
   return bot
 }
 
-module.exports = { createBot }
+function createApiServer (handler) {
+  const calls = []
+  const server = http.createServer(async (req, res) => {
+    let body = ''
+    for await (const chunk of req) {
+      body += String(chunk)
+    }
+    const method = req.url.split('/').pop()
+    const contentType = req.headers['content-type']
+    const payload = body && contentType === 'application/json' ? JSON.parse(body) : {}
+    calls.push({ method, payload, contentType, body })
+    const result = await handler(method, payload, calls.length)
+    if (Buffer.isBuffer(result)) {
+      return res.end(result)
+    }
+    const { status = 200, ...data } = result
+    res.statusCode = status
+    res.setHeader('content-type', 'application/json')
+    res.end(JSON.stringify(data))
+  })
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const apiRoot = `http://127.0.0.1:${server.address().port}`
+      resolve({ apiRoot, calls, close: () => server.close() })
+    })
+  })
+}
+
+module.exports = { createBot, createApiServer }